@@ -2,70 +2,83 @@
 
 const fs = require('fs');
 const path = require('path');
-const { glob } = require('glob');
 const chalk = require('chalk');
-const { parse } = require('@babel/parser');
+const { parseExpression } = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const generate = require('@babel/generator').default;
 const t = require('@babel/types');
+const { createTwoFilesPatch } = require('diff');
+const { insertText, replaceRange, removeRange, dropEdit, applyEdits } = require('./lib/source-editor');
+const { collectImportBindings, getJSXRootIdentifier, resolveJSXElement } = require('./lib/component-resolver');
+const { getPropName, getLiteralPropValue } = require('./lib/jsx-props');
+const { createAnalysisCache } = require('./lib/analysis-cache');
+const { isMainThread, workerData } = require('worker_threads');
+const { getWorkerCount, runInWorkers, serveTasks } = require('./lib/worker-pool');
+const { COMMON_OPTIONS, UsageError, parseArgs, printOptions } = require('./lib/cli-args');
+const { ConfigError, loadConfig } = require('./lib/config-loader');
+const { findSourceFiles, parseSource } = require('./lib/source-files');
+const { createRunQueue, prepareRun } = require('./lib/api-runner');
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-let customSrcPath = null;
-
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === '--src' || args[i] === '-s') {
-    customSrcPath = args[i + 1];
-    i++; // Skip next argument as it's the path
-  } else if (args[i] === '--help' || args[i] === '-h') {
-    console.log(chalk.blue.bold('🚀 React Native Props Adder - Usage'));
-    console.log(chalk.gray('─'.repeat(50)));
-    console.log(chalk.blue('Basic usage:'));
-    console.log('  node add-props.js');
-    console.log('');
-    console.log(chalk.blue('With custom source folder:'));
-    console.log('  node add-props.js --src /path/to/your/src');
-    console.log('  node add-props.js -s /path/to/your/src');
-    console.log('');
-    console.log(chalk.blue('Help:'));
-    console.log('  node add-props.js --help');
-    console.log('  node add-props.js -h');
-    console.log('');
-    console.log(chalk.gray('─'.repeat(50)));
-    process.exit(0);
-  }
-}
-
-// Load configuration
-const config = JSON.parse(fs.readFileSync('./config.json', 'utf8'));
-
-// Override src folder if custom path provided
-if (customSrcPath) {
-  // Validate custom path exists
-  if (!fs.existsSync(customSrcPath)) {
-    console.error(chalk.red(`❌ Error: Source folder does not exist: ${customSrcPath}`));
-    process.exit(1);
-  }
-  
-  // Convert to absolute path if relative
-  const absolutePath = path.isAbsolute(customSrcPath) 
-    ? customSrcPath 
-    : path.resolve(process.cwd(), customSrcPath);
-    
-  config.srcFolder = absolutePath;
-  console.log(chalk.yellow(`📁 Using custom source folder: ${absolutePath}`));
+const OPTIONS = {
+  ...COMMON_OPTIONS,
+  'dry-run': { alias: 'd', type: 'boolean', description: 'Print a diff instead of writing files' },
+  check: { type: 'boolean', description: 'Exit with code 1 when files would be modified (CI)' },
+  'diff-output': { alias: 'o', type: 'string', value: 'file', description: 'Write the diff of all changes to a patch file' }
+};
+
+// Set by configure() from the command line and the loaded config
+let config = null;
+let dryRun = false;
+let checkMode = false;
+let diffOutputPath = null;
+let concurrency = 1;
+
+// Diff and log paths are relative to this (the API's `cwd` option)
+let workingDir = process.cwd();
+
+// Rules to apply to every matched component
+let rules = [];
+
+// Files are only written when neither --dry-run nor --check is given
+let writeChanges = true;
+
+// In-memory file set of an API run (absolute path -> content), null to read the disk
+let sources = null;
+
+// Progress and warnings go here; the API is silent unless given a logger
+let logger = console;
+
+// Results per file content hash, so unchanged files are not parsed again
+let resultCache = null;
+
+/**
+ * Create the statistics of a run
+ */
+function createStats() {
+  return {
+    filesProcessed: 0,
+    filesModified: 0,
+    componentsFound: 0,
+    propsAdded: 0,
+    propsUpdated: 0,
+    propsRemoved: 0,
+    propsRenamed: 0,
+    valuesMapped: 0,
+    componentsReplaced: 0,
+    componentsSkipped: 0,
+    errors: []
+  };
 }
 
 // Statistics tracking
-const stats = {
-  filesProcessed: 0,
-  filesModified: 0,
-  componentsFound: 0,
-  propsAdded: 0,
-  propsUpdated: 0,
-  componentsSkipped: 0,
-  errors: []
-};
+let stats = createStats();
+
+// Unified diffs of changed files (collected in dry-run/check or with --diff-output)
+let diffs = [];
+
+// Per-file results of a run: { file, output, diff, warnings } (output and
+// diff are null when nothing changes), or { file, error } when it failed
+let fileResults = [];
 
 // HTML elements to skip (lowercase)
 const HTML_ELEMENTS = new Set([
@@ -80,20 +93,17 @@ const HTML_ELEMENTS = new Set([
 /**
  * Check if a component is imported from specified packages
  */
-function isComponentFromTargetPackages(imports, componentName) {
-  for (const importInfo of imports) {
-    if (importInfo.components.includes(componentName) && 
-        config.packages.some(pkg => importInfo.source.includes(pkg))) {
-      return true;
-    }
-  }
-  return false;
+function isComponentFromTargetPackages(component) {
+  return Boolean(component.source) &&
+    (config.packages || []).some(pkg => component.source.includes(pkg));
 }
 
 /**
  * Check if component should be processed
  */
-function shouldProcessComponent(componentName, imports) {
+function shouldProcessComponent(component) {
+  const componentName = component && component.importedName;
+  
   // Safety check for component name
   if (!componentName || typeof componentName !== 'string') {
     return false;
@@ -105,12 +115,75 @@ function shouldProcessComponent(componentName, imports) {
   }
   
   // Check if component is in our target list
-  if (config.components.includes(componentName)) {
+  if ((config.components || []).includes(componentName)) {
     return true;
   }
   
   // Check if component is imported from target packages
-  return isComponentFromTargetPackages(imports, componentName);
+  return isComponentFromTargetPackages(component);
+}
+
+/**
+ * Build the list of rules to apply.
+ *
+ * Each entry in `config.rules` targets components by name and/or import
+ * source with its own props, operations, update policy and conditions.
+ * The top-level `props`/`remove`/`rename`/`mapValue` keys form an implicit
+ * first rule matched through `components` and `packages` as before.
+ */
+function buildRules() {
+  const rules = (config.rules || []).map(rule => ({
+    ...rule,
+    updateExisting: rule.updateExisting !== undefined ? rule.updateExisting : config.updateExisting
+  }));
+  
+  if (config.props || config.remove || config.rename || config.mapValue) {
+    rules.unshift({
+      legacy: true,
+      props: config.props,
+      remove: config.remove,
+      rename: config.rename,
+      mapValue: config.mapValue,
+      updateExisting: config.updateExisting
+    });
+  }
+  
+  return rules;
+}
+
+/**
+ * Check if a rule applies to a component with the given props
+ */
+function ruleMatches(rule, component, existingProps) {
+  if (rule.legacy) {
+    return shouldProcessComponent(component);
+  }
+  
+  const componentName = component.importedName;
+  
+  // Only lowercase tags are intrinsic elements, so `<Button>` can still be targeted
+  if (!componentName || HTML_ELEMENTS.has(componentName)) {
+    return false;
+  }
+  
+  const names = rule.components || (rule.component ? [rule.component] : null);
+  if (names && !names.includes(componentName)) {
+    return false;
+  }
+  
+  if (rule.source && component.source !== rule.source) {
+    return false;
+  }
+  
+  const when = rule.when || {};
+  if ((when.hasProps || []).some(name => !hasProp(existingProps, name))) {
+    return false;
+  }
+  if ((when.missingProps || []).some(name => hasProp(existingProps, name))) {
+    return false;
+  }
+  
+  return true;
 }
 
 /**
@@ -132,72 +205,361 @@ function sortPropsAlphabetically(props) {
   });
 }
 
+/**
+ * Find an existing prop by name
+ */
+function findProp(props, propName) {
+  return props.find(prop => getPropName(prop) === propName);
+}
+
 /**
  * Check if prop already exists
  */
 function hasProp(props, propName) {
-  return props.some(prop => {
-    // Handle JSXAttribute - use name property instead of key
-    let keyName = '';
-    
-    if (prop.type === 'JSXAttribute' && prop.name) {
-      if (prop.name.type === 'JSXIdentifier') {
-        keyName = prop.name.name;
-      } else if (prop.name.type === 'Literal') {
-        keyName = prop.name.value;
+  return props.some(prop => getPropName(prop) === propName);
+}
+
+/**
+ * Build the JSX attribute value node for a prop from config.json.
+ *
+ * `type` is optional - without it the JSON type of `value` decides:
+ * strings become plain string attributes, numbers/booleans/null become
+ * expression containers. Returns null for shorthand boolean props.
+ */
+function buildPropValue(propConfig) {
+  const { name, value } = propConfig;
+  const type = propConfig.type || (value === null ? 'null' : typeof value);
+  
+  switch (type) {
+    case 'string': {
+      const text = String(value);
+      // JSX string attributes cannot contain escapes, fall back to {"..."}
+      return /["\\\n]/.test(text)
+        ? t.jsxExpressionContainer(t.stringLiteral(text))
+        : t.stringLiteral(text);
+    }
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || value === null || Number.isNaN(number)) {
+        throw new Error(`Prop "${name}": value ${JSON.stringify(value)} is not a number`);
       }
+      return t.jsxExpressionContainer(
+        number < 0 ? t.unaryExpression('-', t.numericLiteral(-number)) : t.numericLiteral(number)
+      );
     }
-    
-    return keyName === propName;
-  });
+    case 'boolean': {
+      if (value !== true && value !== false && value !== 'true' && value !== 'false') {
+        throw new Error(`Prop "${name}": value ${JSON.stringify(value)} is not a boolean`);
+      }
+      return t.jsxExpressionContainer(t.booleanLiteral(value === true || value === 'true'));
+    }
+    case 'null':
+      return t.jsxExpressionContainer(t.nullLiteral());
+    case 'expression': {
+      if (typeof value !== 'string' || value.trim() === '') {
+        throw new Error(`Prop "${name}": expression values must be a non-empty string`);
+      }
+      try {
+        return t.jsxExpressionContainer(parseExpression(value, { plugins: ['jsx', 'typescript'] }));
+      } catch (error) {
+        throw new Error(`Prop "${name}": invalid expression ${JSON.stringify(value)} (${error.message})`);
+      }
+    }
+    case 'shorthand':
+      return null;
+    default:
+      throw new Error(`Prop "${name}": unsupported type "${type}"`);
+  }
+}
+
+/**
+ * Get the source text for a JSX attribute value node
+ */
+function printPropValue(valueNode) {
+  return generate(valueNode, { jsescOption: { minimal: true } }).code;
+}
+
+/**
+ * Get the edits recorded for a JSX attribute.
+ *
+ * Rules update attribute nodes in place so later rules see the result, but
+ * the new nodes have no source offsets. The offsets of an original
+ * attribute are kept here with its `name` and `value` edits; an attribute
+ * a rule inserted keeps its `insertion`. A later rule touching the same
+ * attribute rewrites these edits instead of splicing the source again.
+ */
+function getPropEdits(prop, file) {
+  if (!file.propEdits.has(prop)) {
+    file.propEdits.set(prop, {
+      nameStart: prop.name.start,
+      nameEnd: prop.name.end,
+      valueEnd: prop.value ? prop.value.end : prop.name.end,
+      name: null,
+      value: null,
+      insertion: null
+    });
+  }
+  return file.propEdits.get(prop);
+}
+
+/**
+ * Rewrite the text inserting an attribute after its node changed
+ */
+function refreshInsertion(insertion) {
+  const propText = printPropValue(insertion.prop);
+  insertion.edit.text = insertion.before
+    ? propText + insertion.separator
+    : insertion.separator + propText;
 }
 
 /**
  * Update existing prop value
  */
-function updatePropValue(props, propName, newValue) {
-  const prop = props.find(p => {
-    let keyName = '';
-    if (p.type === 'JSXAttribute' && p.name) {
-      if (p.name.type === 'JSXIdentifier') {
-        keyName = p.name.name;
-      } else if (p.name.type === 'Literal') {
-        keyName = p.name.value;
-      }
+function updatePropValue(props, propName, valueNode, file) {
+  const prop = findProp(props, propName);
+  
+  if (!prop) {
+    return false;
+  }
+  
+  // `=value`, or nothing for a shorthand boolean prop (`<TextInput editable />`)
+  const edits = getPropEdits(prop, file);
+  const valueText = valueNode ? `=${printPropValue(valueNode)}` : '';
+  let currentText;
+  if (edits.insertion) {
+    currentText = prop.value ? `=${printPropValue(prop.value)}` : '';
+  } else {
+    currentText = edits.value ? edits.value.text : file.source.slice(edits.nameEnd, edits.valueEnd);
+  }
+  
+  // Leave the file alone when the value is already what we would write
+  if (currentText === valueText) {
+    return false;
+  }
+  
+  prop.value = valueNode;
+  if (edits.insertion) {
+    refreshInsertion(edits.insertion);
+  } else if (edits.value) {
+    edits.value.text = valueText;
+  } else {
+    edits.value = replaceRange(file.edits, edits.nameEnd, edits.valueEnd, valueText);
+  }
+  return true;
+}
+
+/**
+ * Insert a new attribute into the original source of an opening element.
+ *
+ * The attribute goes in front of the first existing attribute that sorts
+ * after it, never ahead of a spread (which would change which value wins),
+ * and reuses the whitespace between neighbouring attributes so multi-line
+ * elements stay one prop per line.
+ */
+function insertProp(openingElement, newProp, file) {
+  const original = openingElement.attributes.filter(attr => typeof attr.start === 'number');
+  const lastSpread = original.map(attr => attr.type).lastIndexOf('JSXSpreadAttribute');
+  const candidates = original.slice(lastSpread + 1);
+  const propText = printPropValue(newProp);
+  
+  // Whitespace in front of the attribute at `index` of the original list
+  const separatorBefore = index => {
+    const prevEnd = index > 0 ? original[index - 1].end : openingElement.name.end;
+    const whitespace = file.source.slice(prevEnd, original[index].start);
+    return /\n/.test(whitespace) ? whitespace.slice(whitespace.lastIndexOf('\n')) : ' ';
+  };
+  
+  const sorted = sortPropsAlphabetically([...candidates, newProp]);
+  const anchor = sorted.slice(sorted.indexOf(newProp) + 1)[0];
+  let insertion;
+  
+  if (anchor) {
+    const separator = separatorBefore(original.indexOf(anchor));
+    insertion = { anchor, before: true, separator, edit: insertText(file.edits, anchor.start, propText + separator) };
+  } else if (original.length > 0) {
+    const last = original[original.length - 1];
+    const separator = separatorBefore(original.length - 1);
+    insertion = { anchor: null, before: false, separator, edit: insertText(file.edits, last.end, separator + propText) };
+  } else {
+    const nameNode = openingElement.typeParameters || openingElement.name;
+    insertion = { anchor: null, before: false, separator: ' ', edit: insertText(file.edits, nameNode.end, ` ${propText}`) };
+  }
+  
+  file.propEdits.set(newProp, { insertion: { prop: newProp, ...insertion } });
+}
+
+/**
+ * Check whether a remove/rename/mapValue operation applies to a component
+ */
+function operationAppliesTo(operation, componentName) {
+  return !operation.components || operation.components.includes(componentName);
+}
+
+/**
+ * Remove an attribute from the source, including the edits earlier rules
+ * made to it
+ */
+function removePropSource(prop, file) {
+  const edits = getPropEdits(prop, file);
+  
+  // An attribute added by an earlier rule is simply not inserted
+  if (edits.insertion) {
+    edits.insertion.edit.text = '';
+    return;
+  }
+  
+  [edits.name, edits.value].filter(Boolean).forEach(edit => dropEdit(file.edits, edit));
+  
+  // Take the whitespace in front of the attribute with it
+  let start = prop.start;
+  while (start > 0 && /\s/.test(file.source[start - 1])) {
+    start--;
+  }
+  removeRange(file.edits, start, prop.end);
+  
+  // Attributes inserted in front of this one move behind the previous one
+  file.propEdits.forEach(other => {
+    if (other.insertion && other.insertion.anchor === prop) {
+      Object.assign(other.insertion, { anchor: null, before: false });
+      Object.assign(other.insertion.edit, { start, end: start });
+      refreshInsertion(other.insertion);
     }
-    return keyName === propName;
   });
+}
+
+/**
+ * Remove props listed in a rule's `remove`
+ */
+function removeProps(rule, componentName, existingProps, file) {
+  let hasChanges = false;
   
-  if (prop) {
-    prop.value = t.jsxExpressionContainer(t.stringLiteral(newValue));
-    return true;
+  for (const operation of rule.remove || []) {
+    const { name } = typeof operation === 'string' ? { name: operation } : operation;
+    if (typeof operation !== 'string' && !operationAppliesTo(operation, componentName)) continue;
+    
+    const prop = findProp(existingProps, name);
+    if (!prop) continue;
+    
+    removePropSource(prop, file);
+    existingProps.splice(existingProps.indexOf(prop), 1);
+    stats.propsRemoved++;
+    hasChanges = true;
   }
-  return false;
+  
+  return hasChanges;
 }
 
 /**
- * Add new props to component
+ * Record a warning about a file; processFile() prints it, also for
+ * cached results and results from worker threads
  */
-function addPropsToComponent(jsxElement, imports) {
-  const componentName = jsxElement.openingElement.name.name;
-  
-  if (!shouldProcessComponent(componentName, imports)) {
+function warn(file, message) {
+  file.warnings.push(message);
+}
+
+/**
+ * Rename a prop in place, refusing when the new name is already taken
+ */
+function renameProp(existingProps, prop, newName, file) {
+  if (hasProp(existingProps, newName)) {
+    const { line } = prop.loc.start;
+    warn(file, `  ⚠ Not renaming ${getPropName(prop)} to ${newName} on line ${line}: ${newName} is already set`);
+    stats.componentsSkipped++;
     return false;
   }
   
-  stats.componentsFound++;
+  const edits = getPropEdits(prop, file);
+  prop.name.name = newName;
+  if (edits.insertion) {
+    refreshInsertion(edits.insertion);
+  } else if (edits.name) {
+    edits.name.text = newName;
+  } else {
+    edits.name = replaceRange(file.edits, edits.nameStart, edits.nameEnd, newName);
+  }
+  return true;
+}
+
+/**
+ * Rename props listed in a rule's `rename`
+ */
+function renameProps(rule, componentName, existingProps, file) {
+  let hasChanges = false;
+  
+  for (const operation of rule.rename || []) {
+    if (!operationAppliesTo(operation, componentName)) continue;
+    
+    const prop = findProp(existingProps, operation.from);
+    if (prop && renameProp(existingProps, prop, operation.to, file)) {
+      stats.propsRenamed++;
+      hasChanges = true;
+    }
+  }
+  
+  return hasChanges;
+}
+
+/**
+ * Replace literal prop values listed in a rule's `mapValue`, optionally
+ * moving the value to a new prop name (`keyboardType` -> `inputMode`)
+ */
+function mapPropValues(rule, componentName, existingProps, file) {
+  let hasChanges = false;
+  
+  for (const operation of rule.mapValue || []) {
+    if (!operationAppliesTo(operation, componentName)) continue;
+    
+    const prop = findProp(existingProps, operation.name);
+    if (!prop) continue;
+    
+    const currentValue = getLiteralPropValue(prop);
+    if (currentValue === undefined || !Object.prototype.hasOwnProperty.call(operation.values, currentValue)) {
+      continue;
+    }
+    
+    let propName = operation.name;
+    if (operation.to && operation.to !== propName) {
+      if (!renameProp(existingProps, prop, operation.to, file)) continue;
+      propName = operation.to;
+      hasChanges = true;
+    }
+    
+    const valueNode = buildPropValue({
+      name: propName,
+      value: operation.values[currentValue],
+      type: operation.type
+    });
+    updatePropValue(existingProps, propName, valueNode, file);
+    stats.valuesMapped++;
+    hasChanges = true;
+  }
   
-  const existingProps = jsxElement.openingElement.attributes || [];
+  return hasChanges;
+}
+
+/**
+ * Apply a single rule's operations and props to a component
+ */
+function applyRule(rule, component, jsxElement, file) {
+  const componentName = component.importedName;
+  const existingProps = jsxElement.openingElement.attributes;
   let hasChanges = false;
   
-  // Process each prop from config
-  for (const propConfig of config.props) {
+  // Removals, value mappings and renames run before props are added so
+  // `props` can re-add a prop under the name a rename just freed up
+  if (removeProps(rule, componentName, existingProps, file)) hasChanges = true;
+  if (mapPropValues(rule, componentName, existingProps, file)) hasChanges = true;
+  if (renameProps(rule, componentName, existingProps, file)) hasChanges = true;
+  
+  // Process props in name order so several insertions at one spot stay sorted
+  const propConfigs = [...(rule.props || [])].sort((a, b) => a.name.localeCompare(b.name));
+  
+  for (const propConfig of propConfigs) {
     const propName = propConfig.name;
-    const propValue = propConfig.value;
     
     if (hasProp(existingProps, propName)) {
-      if (config.updateExisting) {
-        if (updatePropValue(existingProps, propName, propValue)) {
+      if (rule.updateExisting) {
+        if (updatePropValue(existingProps, propName, buildPropValue(propConfig), file)) {
           stats.propsUpdated++;
           hasChanges = true;
         }
@@ -209,115 +571,606 @@ function addPropsToComponent(jsxElement, imports) {
       // Add new prop
       const newProp = t.jsxAttribute(
         t.jsxIdentifier(propName),
-        t.jsxExpressionContainer(t.stringLiteral(propValue))
+        buildPropValue(propConfig)
       );
       
+      insertProp(jsxElement.openingElement, newProp, file);
       existingProps.push(newProp);
       stats.propsAdded++;
       hasChanges = true;
     }
   }
   
-  // Sort props alphabetically if there were changes
-  if (hasChanges) {
-    jsxElement.openingElement.attributes = sortPropsAlphabetically(existingProps);
+  // Component swaps are applied per file by replaceComponents()
+  if (rule.replaceWith && !file.replacements.some(replacement => replacement.element === jsxElement)) {
+    file.replacements.push({ element: jsxElement, rule, component });
   }
   
   return hasChanges;
 }
 
 /**
- * Process a single file
+ * Detect quote style and semicolon use from an existing import
  */
-function processFile(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const relativePath = path.relative(process.cwd(), filePath);
+function getImportStyle(file) {
+  const last = file.importDeclarations[file.importDeclarations.length - 1];
+  if (!last) {
+    return { quote: "'", semicolon: true };
+  }
+  
+  const text = file.source.slice(last.start, last.end);
+  return {
+    quote: file.source[last.source.start],
+    semicolon: text.trimEnd().endsWith(';')
+  };
+}
+
+/**
+ * Remove named specifiers from an import declaration, dropping the whole
+ * declaration (and its line) when nothing is left
+ */
+function removeImportSpecifiers(declaration, removed, file) {
+  const specifiers = declaration.specifiers;
+  const kept = specifiers.filter(spec => !removed.includes(spec));
+  
+  if (kept.length === 0) {
+    const end = file.source[declaration.end] === '\n' ? declaration.end + 1 : declaration.end;
+    removeRange(file.edits, declaration.start, end);
+    file.removedDeclarations.add(declaration);
+    return;
+  }
+  
+  const keptNamed = kept.filter(spec => spec.type === 'ImportSpecifier');
+  if (keptNamed.length === 0) {
+    // `import React, { View } from 'react'` -> `import React from 'react'`
+    const last = specifiers[specifiers.length - 1];
+    const end = last.type === 'ImportSpecifier' ? file.source.indexOf('}', last.end) + 1 : last.end;
+    removeRange(file.edits, kept[kept.length - 1].end, end);
+    return;
+  }
+  
+  const lastKept = specifiers.indexOf(keptNamed[keptNamed.length - 1]);
+  specifiers.forEach((spec, index) => {
+    if (!removed.includes(spec)) return;
     
-    console.log(chalk.blue(`Processing: ${relativePath}`));
+    if (index < lastKept) {
+      // Remove up to the next specifier so its separator goes too
+      removeRange(file.edits, spec.start, specifiers[index + 1].start);
+    } else if (index === lastKept + 1) {
+      // Trailing run of removed specifiers: cut from the last kept one
+      const lastRemoved = specifiers.slice(index).filter(item => removed.includes(item)).pop();
+      removeRange(file.edits, specifiers[lastKept].end, lastRemoved.end);
+    }
+  });
+}
+
+/**
+ * Add a named import, merging into an existing import of the same module.
+ * New import statements are queued and written by flushNewImports().
+ */
+function addNamedImport(importedName, source, file) {
+  const key = `${source}\u0000${importedName}`;
+  if (file.addedImports.has(key)) {
+    return;
+  }
+  file.addedImports.add(key);
+  
+  const target = file.importDeclarations.find(declaration =>
+    declaration.source.value === source && declaration.importKind !== 'type' &&
+    !declaration.specifiers.some(spec => spec.type === 'ImportNamespaceSpecifier'));
+  
+  if (target) {
+    const named = target.specifiers.filter(spec => spec.type === 'ImportSpecifier');
+    if (named.length > 0) {
+      insertText(file.edits, named[named.length - 1].end, `, ${importedName}`);
+      return;
+    }
+    if (target.specifiers.length > 0) {
+      insertText(file.edits, target.specifiers[0].end, `, { ${importedName} }`);
+      return;
+    }
+  }
+  
+  if (!file.newImports.has(source)) {
+    file.newImports.set(source, []);
+  }
+  file.newImports.get(source).push(importedName);
+}
+
+/**
+ * Write queued import statements after the last import declaration
+ */
+function flushNewImports(file) {
+  if (file.newImports.size === 0) {
+    return;
+  }
+  
+  const style = getImportStyle(file);
+  const statements = Array.from(file.newImports.entries())
+    .map(([source, names]) =>
+      `import { ${names.join(', ')} } from ${style.quote}${source}${style.quote}${style.semicolon ? ';' : ''}`)
+    .join('\n');
+  const last = file.importDeclarations[file.importDeclarations.length - 1];
+  
+  if (!last) {
+    insertText(file.edits, 0, `${statements}\n`);
+  } else if (file.removedDeclarations.has(last)) {
+    // The last import is being deleted, take its place instead
+    insertText(file.edits, last.start, `${statements}\n`);
+  } else {
+    insertText(file.edits, last.end, `\n${statements}`);
+  }
+}
+
+/**
+ * Find the local name an existing import gives to `importedName` from `source`
+ */
+function findImportedLocalName(importedName, source, file) {
+  for (const declaration of file.importDeclarations) {
+    if (declaration.source.value !== source || declaration.importKind === 'type') continue;
     
-    // Parse the file
-    const ast = parse(content, {
-      sourceType: 'module',
-      plugins: ['jsx', 'typescript']
+    const spec = declaration.specifiers.find(item =>
+      item.type === 'ImportSpecifier' && item.importKind !== 'type' &&
+      (item.imported.name || item.imported.value) === importedName);
+    if (spec) {
+      return spec.local.name;
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace components recorded by rules with `replaceWith`.
+ *
+ * Renames the opening/closing tags, imports the new component (merging
+ * into an existing import of its module) and drops the old import
+ * specifier once nothing else in the file references it.
+ */
+function replaceComponents(file) {
+  if (file.replacements.length === 0) {
+    return false;
+  }
+  
+  // Group by old local name and target so each import is touched once
+  const groups = new Map();
+  for (const replacement of file.replacements) {
+    const { name, source } = replacement.rule.replaceWith;
+    const oldName = replacement.component.localName;
+    const key = `${oldName}\u0000${source}\u0000${name}`;
+    
+    if (!groups.has(key)) {
+      const rootName = getJSXRootIdentifier(replacement.element.openingElement.name).name;
+      groups.set(key, { oldName, rootName, name, source, elements: [] });
+    }
+    groups.get(key).elements.push(replacement.element);
+  }
+  
+  let hasChanges = false;
+  const removedSpecifiers = new Map(); // declaration -> specifiers
+  
+  for (const group of groups.values()) {
+    // For `<RN.TextInput>` the binding (and import) is the `RN` namespace
+    const binding = file.programScope.getBinding(group.rootName);
+    const replacedNames = new Set();
+    group.elements.forEach(element => {
+      replacedNames.add(getJSXRootIdentifier(element.openingElement.name));
+      if (element.closingElement) replacedNames.add(getJSXRootIdentifier(element.closingElement.name));
     });
     
-    let fileModified = false;
-    const imports = [];
+    // The old import can go once every reference is a replaced tag
+    const oldSpecifier = binding && binding.kind === 'module' &&
+      /^Import(Default|Namespace)?Specifier$/.test(binding.path.node.type) &&
+      binding.referencePaths.every(ref => replacedNames.has(ref.node))
+      ? binding.path.node
+      : null;
     
-    // Collect import information
-    traverse(ast, {
-      ImportDeclaration(path) {
-        const source = path.node.source.value;
-        const components = path.node.specifiers
-          .filter(spec => spec.type === 'ImportSpecifier')
-          .map(spec => spec.local.name);
-        
-        if (components.length > 0) {
-          imports.push({ source, components });
-        }
+    let localName = findImportedLocalName(group.name, group.source, file);
+    
+    if (!localName) {
+      const existing = file.programScope.getBinding(group.name);
+      if (existing && !(oldSpecifier && existing.path.node === oldSpecifier)) {
+        warn(file, `  ⚠ Not replacing ${group.oldName} with ${group.name}: ${group.name} is already defined in this file`);
+        stats.componentsSkipped += group.elements.length;
+        continue;
       }
+      
+      addNamedImport(group.name, group.source, file);
+      localName = group.name;
+    }
+    
+    group.elements.forEach(element => {
+      const names = [element.openingElement.name];
+      if (element.closingElement) names.push(element.closingElement.name);
+      names.forEach(nameNode => replaceRange(file.edits, nameNode.start, nameNode.end, localName));
     });
     
-    // Process JSX elements
-    traverse(ast, {
-      JSXElement(path) {
-        if (addPropsToComponent(path.node, imports)) {
-          fileModified = true;
-        }
+    if (oldSpecifier) {
+      const declaration = binding.path.parent;
+      if (!removedSpecifiers.has(declaration)) {
+        removedSpecifiers.set(declaration, []);
       }
-    });
+      removedSpecifiers.get(declaration).push(oldSpecifier);
+    }
+    
+    stats.componentsReplaced += group.elements.length;
+    hasChanges = true;
+  }
+  
+  removedSpecifiers.forEach((removed, declaration) => {
+    removeImportSpecifiers(declaration, removed, file);
+  });
+  flushNewImports(file);
+  
+  return hasChanges;
+}
+
+/**
+ * Add new props to component
+ */
+function addPropsToComponent(jsxElement, imports, file) {
+  const component = resolveJSXElement(jsxElement.openingElement.name, imports);
+  
+  if (!component) {
+    return false;
+  }
+  
+  if (!jsxElement.openingElement.attributes) {
+    jsxElement.openingElement.attributes = [];
+  }
+  
+  let matched = false;
+  let hasChanges = false;
+  
+  // Rules apply in order; conditions see the props left by earlier rules and
+  // edits to the same attribute are merged (see getPropEdits())
+  for (const rule of rules) {
+    if (!ruleMatches(rule, component, jsxElement.openingElement.attributes)) {
+      continue;
+    }
+    
+    matched = true;
+    if (applyRule(rule, component, jsxElement, file)) {
+      hasChanges = true;
+    }
+  }
+  
+  if (matched) {
+    stats.componentsFound++;
+  }
+  
+  return hasChanges;
+}
+
+/**
+ * Apply the rules to a file's source.
+ *
+ * Returns { output, stats, warnings }: the new source (null when nothing
+ * changes), the counters this file added to `stats` and its warnings.
+ * Plain data, so it can be cached per content hash and sent from workers.
+ */
+function transformSource(content) {
+  const statsBefore = { ...stats };
+  
+  // Parse the file
+  const ast = parseSource(content);
+  
+  let fileModified = false;
+  const imports = collectImportBindings(ast);
+  const file = {
+    source: content,
+    edits: [],
+    propEdits: new Map(), // JSX attribute -> its edits, see getPropEdits()
+    importDeclarations: ast.program.body.filter(node => node.type === 'ImportDeclaration'),
+    replacements: [],
+    newImports: new Map(), // source -> imported names
+    addedImports: new Set(),
+    removedDeclarations: new Set(),
+    programScope: null,
+    warnings: []
+  };
+  
+  traverse(ast, {
+    Program(path) {
+      file.programScope = path.scope;
+      path.stop();
+    }
+  });
+  
+  // Process JSX elements
+  traverse(ast, {
+    JSXElement(path) {
+      if (addPropsToComponent(path.node, imports, file)) {
+        fileModified = true;
+      }
+    }
+  });
+  
+  // Swap replaced components' tags and imports once every element is seen
+  if (replaceComponents(file)) {
+    fileModified = true;
+  }
+  
+  const statsDelta = {};
+  Object.keys(stats)
+    .filter(key => typeof stats[key] === 'number' && stats[key] !== statsBefore[key])
+    .forEach(key => { statsDelta[key] = stats[key] - statsBefore[key]; });
+  
+  return {
+    // Splice the recorded edits into the original text so untouched
+    // code keeps its formatting and comments
+    output: fileModified ? applyEdits(content, file.edits) : null,
+    stats: statsDelta,
+    warnings: file.warnings
+  };
+}
+
+/**
+ * Read a file and look up its result in the cache
+ */
+function readFileForTransform(filePath) {
+  const content = sources ? sources.get(filePath) : fs.readFileSync(filePath, 'utf8');
+  return { content, cached: resultCache.get(filePath, content) };
+}
+
+/**
+ * Process a single file
+ *
+ * `entry` is the readFileForTransform() result when already read, and
+ * `outcome` the { result } or { error } of transformSource() on a worker.
+ */
+function processFile(filePath, entry = null, outcome = null) {
+  try {
+    entry = entry || readFileForTransform(filePath);
+    const { content } = entry;
+    const relativePath = path.relative(workingDir, filePath);
+    
+    logger.log(chalk.blue(`Processing: ${relativePath}`));
+    
+    let result = entry.cached;
+    
+    if (!result) {
+      if (outcome && outcome.error) {
+        throw new Error(outcome.error);
+      }
+      result = outcome ? outcome.result : transformSource(content);
+      resultCache.set(filePath, content, result);
+    }
+    
+    // Counters of worker and cached results still have to be added
+    if (entry.cached || outcome) {
+      Object.entries(result.stats).forEach(([key, delta]) => { stats[key] += delta; });
+    }
+    result.warnings.forEach(message => logger.log(chalk.yellow(message)));
     
     // Write changes back to file if modified
-    if (fileModified) {
-      const output = generate(ast, {
-        retainLines: true,
-        compact: false
-      });
-      
-      fs.writeFileSync(filePath, output.code);
+    let diff = null;
+    if (result.output !== null) {
       stats.filesModified++;
-      console.log(chalk.green(`✓ Modified: ${relativePath}`));
+      
+      diff = createTwoFilesPatch(
+        `a/${relativePath}`,
+        `b/${relativePath}`,
+        content,
+        result.output
+      );
+      
+      if (!writeChanges || diffOutputPath) {
+        diffs.push(diff);
+      }
+      
+      if (writeChanges) {
+        // In-memory files are only changed in the returned results
+        if (!sources) {
+          fs.writeFileSync(filePath, result.output);
+        }
+        logger.log(chalk.green(`✓ Modified: ${relativePath}`));
+      } else {
+        logger.log(chalk.yellow(`~ Would modify: ${relativePath}`));
+        
+        if (dryRun && !diffOutputPath) {
+          printDiff(diff);
+        }
+      }
     } else {
-      console.log(chalk.gray(`- No changes needed: ${relativePath}`));
+      logger.log(chalk.gray(`- No changes needed: ${relativePath}`));
     }
     
+    fileResults.push({ file: filePath, output: result.output, diff, warnings: result.warnings });
     stats.filesProcessed++;
-    
+  
   } catch (error) {
     const errorMsg = `Error processing ${filePath}: ${error.message}`;
     stats.errors.push(errorMsg);
-    console.error(chalk.red(`✗ ${errorMsg}`));
+    fileResults.push({ file: filePath, error: error.message });
+    logger.error(chalk.red(`✗ ${errorMsg}`));
+  }
+}
+
+/**
+ * Process files, transforming cache misses on worker threads when there
+ * are enough of them. Results are applied in file order either way, so
+ * output, diffs and stats do not depend on which worker finished first.
+ */
+async function processFiles(files) {
+  const entries = files.map(filePath => {
+    try {
+      return readFileForTransform(filePath);
+    } catch (error) {
+      return null; // Reported by processFile()
+    }
+  });
+  
+  const pending = entries.filter(entry => entry && !entry.cached);
+  const workerCount = getWorkerCount(pending.length, concurrency);
+  const outcomes = new Map();
+  
+  if (workerCount > 0) {
+    logger.log(chalk.gray(`Transforming ${pending.length} files on ${workerCount} worker threads...\n`));
+    const results = await runInWorkers(__filename, pending.map(entry => entry.content), workerCount, {
+      command: 'add-props',
+      config,
+      options: { dryRun, check: checkMode, diffOutput: diffOutputPath, concurrency }
+    });
+    pending.forEach((entry, index) => outcomes.set(entry, results[index]));
+  }
+  
+  files.forEach((filePath, index) => {
+    processFile(filePath, entries[index], outcomes.get(entries[index]) || null);
+  });
+}
+
+/**
+ * Print a unified diff with added/removed lines colorized
+ */
+function printDiff(patch) {
+  patch.split('\n').forEach(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+      logger.log(chalk.bold(line));
+    } else if (line.startsWith('+')) {
+      logger.log(chalk.green(line));
+    } else if (line.startsWith('-')) {
+      logger.log(chalk.red(line));
+    } else if (line.startsWith('@@')) {
+      logger.log(chalk.cyan(line));
+    } else {
+      logger.log(line);
+    }
+  });
+}
+
+/**
+ * Check that every prop value in the rules can be built, so a bad config
+ * fails before any file is touched
+ */
+function validatePropValues() {
+  rules.forEach(rule => {
+    (rule.props || []).forEach(buildPropValue);
+    (rule.mapValue || []).forEach(operation => {
+      Object.values(operation.values || {}).forEach(value => {
+        buildPropValue({ name: operation.to || operation.name, value, type: operation.type });
+      });
+    });
+  });
+}
+
+/**
+ * Transform the files of the config (or the in-memory file set) with the
+ * state set by configure().
+ *
+ * Returns { stats, files, diffs, errors }: the run's counters, the result
+ * of every file processed (see `fileResults`), the collected diffs and the
+ * files that failed as { file, message }.
+ */
+async function runTransform() {
+  stats = createStats();
+  diffs = [];
+  fileResults = [];
+  
+  validatePropValues();
+  
+  // Find all matching files
+  const files = sources ? Array.from(sources.keys()) : await findSourceFiles(config);
+  
+  if (files.length > 0) {
+    logger.log(chalk.blue(`Found ${files.length} files to process.\n`));
   }
+  
+  // Process each file
+  await processFiles(files);
+  
+  resultCache.save();
+  
+  return {
+    stats,
+    files: fileResults,
+    diffs,
+    errors: fileResults
+      .filter(result => result.error)
+      .map(result => ({ file: result.file, message: result.error }))
+  };
+}
+
+// Runs share the module state above, so they are queued
+const enqueueRun = createRunQueue();
+
+/**
+ * Add, update, remove and rename props (Node API).
+ *
+ * options.config      - config object, as in a config file (relative paths are relative to `cwd`)
+ * options.configPath  - config file to load; without either, one is searched for from `cwd`
+ * options.cwd         - working directory (process.cwd())
+ * options.files       - in-memory file set `{ path: content }` transformed instead of srcFolder;
+ *                       changes are only returned, never written
+ * options.dryRun      - do not write changed files
+ * options.cache       - reuse cached per-file results (true; never for in-memory files)
+ * options.concurrency - worker threads (number of CPUs)
+ * options.logger      - `{ log, warn, error }` for progress output (silent)
+ *
+ * Resolves with { stats, files, diffs, errors } (see runTransform());
+ * rejects with a ConfigError for an invalid config and an Error for a prop
+ * value that cannot be built. Never exits the process.
+ */
+function addProps(options = {}) {
+  return enqueueRun(() => {
+    const { config: loadedConfig, runOptions } = prepareRun('add-props', options);
+    configure(loadedConfig, {
+      ...runOptions,
+      dryRun: Boolean(options.dryRun),
+      check: false,
+      diffOutput: null
+    });
+    return runTransform();
+  });
 }
 
 /**
- * Main execution function
+ * Run the transform for the CLI: print progress and the report, write the
+ * diff file and exit with the check result
  */
-async function main() {
+async function main(loadedConfig, options) {
   console.log(chalk.yellow.bold('🚀 React Native Props Adder'));
   console.log(chalk.gray('Processing files...\n'));
   
+  if (options.dryRun || options.check) {
+    console.log(chalk.yellow(`${options.check ? '🔎 Check' : '👀 Dry-run'} mode: no files will be written.\n`));
+  }
+  
   try {
-    // Find all matching files
-    const pattern = `${config.srcFolder}/**/*.{${config.fileExtensions.join(',')}}`;
-    const files = await glob(pattern, { ignore: ['**/node_modules/**'] });
+    const result = await enqueueRun(() => {
+      configure(loadedConfig, { ...options, logger: console });
+      return runTransform();
+    });
     
-    if (files.length === 0) {
+    if (result.files.length === 0) {
       console.log(chalk.yellow('No files found matching the pattern.'));
       return;
     }
     
-    console.log(chalk.blue(`Found ${files.length} files to process.\n`));
-    
-    // Process each file
-    for (const file of files) {
-      processFile(file);
+    // Save collected diffs if requested
+    if (diffOutputPath && diffs.length > 0) {
+      fs.writeFileSync(diffOutputPath, diffs.join('\n'));
+      console.log(chalk.green(`\n📄 Diff written to: ${diffOutputPath}`));
     }
     
     // Generate report
     generateReport();
     
+    if (checkMode) {
+      if (stats.filesModified > 0) {
+        console.error(chalk.red(`\n✗ Check failed: ${stats.filesModified} file${stats.filesModified > 1 ? 's' : ''} would be modified.`));
+      }
+      
+      // Files that could not be parsed were never checked
+      if (result.errors.length > 0) {
+        console.error(chalk.red(`\n✗ Check failed: ${result.errors.length} file${result.errors.length > 1 ? 's' : ''} could not be checked:`));
+        result.errors.forEach(error => console.error(chalk.red(`  • ${path.relative(workingDir, error.file)}: ${error.message}`)));
+      }
+      
+      if (stats.filesModified > 0 || result.errors.length > 0) {
+        process.exit(1);
+      }
+    }
+  
   } catch (error) {
     console.error(chalk.red(`Fatal error: ${error.message}`));
     process.exit(1);
@@ -332,11 +1185,18 @@ function generateReport() {
   console.log(chalk.gray('─'.repeat(50)));
   
   console.log(chalk.blue(`Files Processed: ${stats.filesProcessed}`));
-  console.log(chalk.green(`Files Modified: ${stats.filesModified}`));
+  console.log(chalk.green(`${writeChanges ? 'Files Modified' : 'Files To Modify'}: ${stats.filesModified}`));
   console.log(chalk.blue(`Components Found: ${stats.componentsFound}`));
   console.log(chalk.green(`Props Added: ${stats.propsAdded}`));
   console.log(chalk.yellow(`Props Updated: ${stats.propsUpdated}`));
+  console.log(chalk.red(`Props Removed: ${stats.propsRemoved}`));
+  console.log(chalk.yellow(`Props Renamed: ${stats.propsRenamed}`));
+  console.log(chalk.yellow(`Values Mapped: ${stats.valuesMapped}`));
+  console.log(chalk.yellow(`Components Replaced: ${stats.componentsReplaced}`));
   console.log(chalk.gray(`Components Skipped: ${stats.componentsSkipped}`));
+  if (resultCache.stats.hits > 0) {
+    console.log(chalk.gray(`Files From Cache: ${resultCache.stats.hits}`));
+  }
   
   if (stats.errors.length > 0) {
     console.log(chalk.red(`\nErrors: ${stats.errors.length}`));
@@ -349,5 +1209,122 @@ function generateReport() {
   console.log(chalk.green.bold('✅ Processing complete!'));
 }
 
-// Run the script
-main().catch(console.error);
+/**
+ * Print command line usage
+ */
+function printHelp() {
+  console.log(chalk.blue.bold('🚀 React Native Props Adder - Usage'));
+  console.log(chalk.gray('─'.repeat(50)));
+  console.log(chalk.blue('Basic usage:'));
+  console.log('  rn-migrate add-props');
+  console.log('  rn-migrate add-props --src /path/to/your/src');
+  console.log('');
+  console.log(chalk.blue('Preview changes without writing files:'));
+  console.log('  rn-migrate add-props --dry-run');
+  console.log('  rn-migrate add-props --dry-run --diff-output changes.patch');
+  console.log('');
+  console.log(chalk.blue('Fail when changes would be made (CI):'));
+  console.log('  rn-migrate add-props --check');
+  console.log('');
+  console.log(chalk.blue('Options:'));
+  printOptions(OPTIONS);
+  console.log('');
+  console.log(chalk.gray('─'.repeat(50)));
+}
+
+/**
+ * Set up the module state from a loaded config and parsed options
+ */
+function configure(loadedConfig, options) {
+  config = loadedConfig;
+  dryRun = options.dryRun;
+  checkMode = options.check;
+  diffOutputPath = options.diffOutput;
+  concurrency = options.concurrency;
+  workingDir = options.cwd || process.cwd();
+  rules = buildRules();
+  writeChanges = !dryRun && !checkMode;
+  sources = options.files || null;
+  logger = options.logger || console;
+  
+  const cacheOptions = config.cache || {};
+  resultCache = createAnalysisCache({
+    name: 'add-props',
+    enabled: options.cache && !sources && cacheOptions.enabled !== false,
+    rootDir: config.rootDir,
+    directory: cacheOptions.directory,
+    toolFiles: [__filename],
+    config
+  });
+}
+
+/**
+ * Run the command with command line arguments (without the command name)
+ */
+async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv, OPTIONS);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    console.error(chalk.gray('Run with --help to see the available options.'));
+    process.exit(2);
+  }
+  
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  
+  let loadedConfig;
+  try {
+    loadedConfig = loadConfig('add-props', { configPath: options.config });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(2);
+  }
+  
+  // Override src folder if custom path provided
+  if (options.src) {
+    const absolutePath = path.resolve(process.cwd(), options.src);
+    if (!fs.existsSync(absolutePath)) {
+      console.error(chalk.red(`❌ Error: Source folder does not exist: ${options.src}`));
+      process.exit(1);
+    }
+    
+    loadedConfig.srcFolder = absolutePath;
+    console.log(chalk.yellow(`📁 Using custom source folder: ${absolutePath}`));
+  }
+  
+  await main(loadedConfig, {
+    dryRun: options['dry-run'],
+    check: options.check,
+    diffOutput: options['diff-output'],
+    cache: options.cache,
+    concurrency: options.concurrency
+  });
+}
+
+// Transform files for the main thread when started as a worker,
+// or run the command when executed directly
+if (!isMainThread && workerData && workerData.command === 'add-props') {
+  // Workers only transform; the main thread owns the cache
+  configure(workerData.config, { ...workerData.options, cache: false });
+  serveTasks(transformSource);
+} else if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  OPTIONS,
+  addProps,
+  run,
+  // Exported for the tests
+  hasProp,
+  sortPropsAlphabetically
+};
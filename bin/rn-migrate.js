@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * rn-migrate: one entry point for the migration toolkit's commands.
+ *
+ *   rn-migrate <command> [options]
+ *
+ * Every command reads the same config file (see lib/config-loader) and
+ * accepts the common options in lib/cli-args.
+ */
+
+const chalk = require('chalk');
+const { printOptions, COMMON_OPTIONS } = require('../lib/cli-args');
+
+// Commands are loaded on demand so one command's setup never runs for another
+const COMMANDS = {
+  analyze: {
+    description: 'Report component usage for migration planning',
+    load: () => require('../component-analyzer')
+  },
+  'add-props': {
+    description: 'Add, update, rename or remove props on matching components',
+    load: () => require('../add-props')
+  },
+  'validate-config': {
+    description: 'Check config files against the schema',
+    load: () => require('../validate-config')
+  }
+};
+
+/**
+ * Print the list of commands
+ */
+function printUsage() {
+  console.log(chalk.blue.bold('🧰 React Native Migration Toolkit'));
+  console.log(chalk.gray('─'.repeat(60)));
+  console.log(chalk.blue('Usage:'));
+  console.log('  rn-migrate <command> [options]');
+  console.log('');
+  console.log(chalk.blue('Commands:'));
+  Object.entries(COMMANDS).forEach(([name, command]) => {
+    console.log(`  ${name.padEnd(28)} ${chalk.gray(command.description)}`);
+  });
+  console.log('');
+  console.log(chalk.blue('Options of analyze and add-props:'));
+  printOptions(COMMON_OPTIONS);
+  console.log('');
+  console.log(chalk.blue('Command help:'));
+  console.log('  rn-migrate <command> --help');
+  console.log(chalk.gray('─'.repeat(60)));
+}
+
+/**
+ * Run the command named by the first argument
+ */
+async function main() {
+  const [commandName, ...argv] = process.argv.slice(2);
+  
+  if (!commandName || commandName === 'help' || commandName === '--help' || commandName === '-h') {
+    printUsage();
+    return;
+  }
+  
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(chalk.red(`❌ Error: Unknown command "${commandName}"`));
+    console.error(chalk.gray(`Available commands: ${Object.keys(COMMANDS).join(', ')}`));
+    process.exit(2);
+  }
+  
+  await command.load().run(argv);
+}
+
+// A crash must not pass for success in CI
+main().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -2,172 +2,477 @@
 
 const fs = require('fs');
 const path = require('path');
-const { glob } = require('glob');
 const chalk = require('chalk');
-const { parse } = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
 const t = require('@babel/types');
+const { collectImportBindings, resolveJSXElement } = require('./lib/component-resolver');
+const { createModuleResolver } = require('./lib/module-resolver');
+const { getEnclosingComponentName, getEnclosingFunctionName, collectExportedLocals } = require('./lib/component-definitions');
+const { getPropName, getLiteralPropValue } = require('./lib/jsx-props');
+const { loadReport, compareReports, loadReportHistory, toHistoryPoint } = require('./lib/report-history');
+const { validatePolicy, evaluatePolicy } = require('./lib/policy');
+const { getRepoRoot, resolveBaseCommit, getChangedFiles, readFileAtCommit } = require('./lib/git-changes');
+const { createAnalysisCache } = require('./lib/analysis-cache');
+const { isMainThread, workerData } = require('worker_threads');
+const { getWorkerCount, runInWorkers, serveTasks } = require('./lib/worker-pool');
+const { COMMON_OPTIONS, UsageError, parseArgs, printOptions } = require('./lib/cli-args');
+const { ConfigError, loadConfig } = require('./lib/config-loader');
+const { findSourceFiles, parseSource } = require('./lib/source-files');
+const { createRunQueue, prepareRun } = require('./lib/api-runner');
+const { REPORT_FORMATS } = require('./lib/report-formats');
+const { captureSnippet, splitLines } = require('./lib/source-snippet');
+const { formatDelta, describeUsageBreakdown } = require('./lib/html-report');
+const { createScoringModel, scoreComponent, buildMigrationPlan } = require('./lib/scoring');
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-let customSrcPath = null;
-let customConfigPath = null;
-
-for (let i = 0; i < args.length; i++) {
-  if (args[i] === '--src' || args[i] === '-s') {
-    customSrcPath = args[i + 1];
-    i++;
-  } else if (args[i] === '--config' || args[i] === '-c') {
-    customConfigPath = args[i + 1];
-    i++;
-  } else if (args[i] === '--help' || args[i] === '-h') {
-    console.log(chalk.blue.bold('🔍 React Native Component Analyzer - Usage'));
-    console.log(chalk.gray('─'.repeat(60)));
-    console.log(chalk.blue('Basic usage:'));
-    console.log('  node component-analyzer.js');
-    console.log('');
-    console.log(chalk.blue('With custom source folder:'));
-    console.log('  node component-analyzer.js --src /path/to/your/src');
-    console.log('  node component-analyzer.js -s /path/to/your/src');
-    console.log('');
-    console.log(chalk.blue('With custom config:'));
-    console.log('  node component-analyzer.js --config ./custom-config.json');
-    console.log('  node component-analyzer.js -c ./custom-config.json');
-    console.log('');
-    console.log(chalk.blue('Help:'));
-    console.log('  node component-analyzer.js --help');
-    console.log('  node component-analyzer.js -h');
-    console.log('');
-    console.log(chalk.gray('─'.repeat(60)));
-    process.exit(0);
-  }
-}
-
-// Load configuration
-const configPath = customConfigPath || './analyzer-config.json';
-const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-
-// Override src folder if custom path provided
-if (customSrcPath) {
-  if (!fs.existsSync(customSrcPath)) {
-    console.error(chalk.red(`❌ Error: Source folder does not exist: ${customSrcPath}`));
-    process.exit(1);
-  }
-  
-  const absolutePath = path.isAbsolute(customSrcPath) 
-    ? customSrcPath 
-    : path.resolve(process.cwd(), customSrcPath);
-    
-  config.srcFolder = absolutePath;
-  console.log(chalk.yellow(`📁 Using custom source folder: ${absolutePath}`));
-}
-
-// Analysis data structure
-const analysis = {
-  summary: {
-    totalFiles: 0,
-    totalComponents: 0,
-    totalUsages: 0,
-    packages: new Set(),
-    startTime: new Date(),
-  },
-  components: new Map(), // componentName -> componentData
-  files: new Map(), // filePath -> fileData
-  imports: new Map(), // packageName -> components[]
+const OPTIONS = {
+  ...COMMON_OPTIONS,
+  baseline: { alias: 'b', type: 'string', value: 'file', description: 'Compare with a previous JSON report' },
+  history: { type: 'string', value: 'dir', description: 'Draw a burndown chart from a folder of JSON reports' },
+  since: { type: 'string', value: 'ref', description: 'Only analyze files changed since a git ref' },
+  enforce: { type: 'boolean', description: 'Exit with code 1 when the policy in the config is violated' },
+  format: { alias: 'f', type: 'string', value: 'list', description: 'Report formats, e.g. html,markdown,sarif (reportOptions otherwise)' }
 };
 
+// Set by configure() from the options of a run and the loaded config
+let config = null;
+let baselineReport = null;
+let historyFolder = null;
+let enforcePolicy = false;
+let sinceRef = null;
+let concurrency = 1;
+
+// Report paths and source links are relative to this (the API's `cwd` option)
+let workingDir = process.cwd();
+
+// In-memory file set of an API run (absolute path -> content), null to read the disk
+let sources = null;
+
+// Progress and warnings go here; the API is silent unless given a logger
+let logger = console;
+
+// Resolver for following project imports and barrel re-exports to their package
+let moduleResolver = null;
+
+// Per-file results keyed by content hash; only settings that change them invalidate it
+let analysisCache = null;
+
 /**
- * Get migration priority based on usage count
+ * Create the analysis data structure of a run
  */
-function getMigrationPriority(usageCount) {
-  if (usageCount >= config.priorityThresholds.high) return 'high';
-  if (usageCount >= config.priorityThresholds.medium) return 'medium';
-  return 'low';
+function createAnalysis() {
+  return {
+    summary: {
+      totalFiles: 0,
+      totalComponents: 0,
+      totalUsages: 0,
+      deprecatedPropUsages: 0,
+      packages: new Set(),
+      startTime: new Date(),
+    },
+    comparison: null, // compareReports() result when --baseline is given
+    history: null, // burndown points when --history is given
+    changes: null, // usages introduced/removed when --since is given
+    errors: [], // { file, message } of files that could not be analyzed
+    components: new Map(), // componentName -> componentData
+    files: new Map(), // filePath -> fileData
+    imports: new Map(), // packageName -> components[]
+    definitions: new Map(), // `${filePath}#${localName}` -> project component data
+    exportedLocals: new Map(), // filePath -> Map(exportName -> localName)
+    projectUsages: [], // JSX usages of project components, resolved after all files
+  };
 }
 
+let analysis = createAnalysis();
+
 /**
- * Get priority color for HTML
+ * Get the source link settings: `sourceLinks`, or the older `github` block
  */
-function getPriorityColor(priority) {
-  const colors = {
-    high: '#dc3545',
-    medium: '#ffc107',
-    low: '#28a745'
-  };
-  return colors[priority] || '#6c757d';
+function getSourceLinkConfig() {
+  if (config.sourceLinks && config.sourceLinks.provider) {
+    return config.sourceLinks;
+  }
+  if (config.github && config.github.repository) {
+    return { provider: 'github', ...config.github };
+  }
+  return null;
 }
 
 /**
- * Generate GitHub URL for file path
+ * Generate a URL for a file (and optionally a line) in the configured
+ * provider: github, gitlab, bitbucket or vscode (local `vscode://file` links).
+ * `filePath` is absolute or a report path, relative to the working directory.
  */
-function generateGitHubUrl(filePath, lineNumber = null) {
-  if (!config.github || !config.github.repository) {
+function generateSourceUrl(filePath, lineNumber = null, column = null) {
+  const links = getSourceLinkConfig();
+  if (!links) {
     return null;
   }
   
-  const relativePath = path.relative(process.cwd(), filePath);
-  const branch = config.github.branch || 'main';
+  if (links.provider === 'vscode') {
+    const location = lineNumber ? `:${lineNumber}${column ? `:${column}` : ''}` : '';
+    return `vscode://file${encodeURI(path.resolve(workingDir, filePath).split(path.sep).join('/'))}${location}`;
+  }
+  
+  if (!links.repository) {
+    return null;
+  }
   
-  let url = `https://github.com/${config.github.repository}/blob/${branch}/${relativePath}`;
+  const relativePath = encodeURI(path.relative(workingDir, path.resolve(workingDir, filePath)).split(path.sep).join('/'));
+  const branch = links.branch || 'main';
   
-  if (lineNumber) {
-    url += `#L${lineNumber}`;
+  switch (links.provider) {
+    case 'github':
+      return `${links.host || 'https://github.com'}/${links.repository}/blob/${branch}/${relativePath}${lineNumber ? `#L${lineNumber}` : ''}`;
+    case 'gitlab':
+      return `${links.host || 'https://gitlab.com'}/${links.repository}/-/blob/${branch}/${relativePath}${lineNumber ? `#L${lineNumber}` : ''}`;
+    case 'bitbucket':
+      return `${links.host || 'https://bitbucket.org'}/${links.repository}/src/${branch}/${relativePath}${lineNumber ? `#lines-${lineNumber}` : ''}`;
+    default:
+      logger.warn(chalk.yellow(`⚠️  Unknown sourceLinks.provider "${links.provider}"`));
+      return null;
+  }
+}
+
+/**
+ * Check if a module is one of the tracked packages (exact match)
+ */
+function isTrackedPackage(source) {
+  return Boolean(source) && config.packagesToTrack.some(pkg => source === pkg);
+}
+
+/**
+ * Follow a project import (relative path or alias) through re-exports to
+ * the package it originally comes from.
+ *
+ * Returns the binding re-attributed to its origin package (with `via` set
+ * to the project module it was imported from), or the binding unchanged.
+ */
+function resolveImportOrigin(binding, filePath) {
+  if (!moduleResolver || isTrackedPackage(binding.source)) {
+    return binding;
   }
   
-  return url;
+  const file = moduleResolver.resolveFile(binding.source, filePath);
+  if (!file) {
+    return binding;
+  }
+  
+  // Members of `import * as UI from './ui'` are resolved per JSX tag
+  if (binding.kind === 'namespace') {
+    return { ...binding, namespaceFile: file };
+  }
+  
+  const origin = moduleResolver.resolveExport(file, binding.kind === 'default' ? 'default' : binding.imported);
+  
+  // Declared in the project: a candidate wrapper component
+  if (origin && origin.file) {
+    return { ...binding, projectFile: origin.file, projectExport: origin.imported };
+  }
+  
+  if (!origin || !isTrackedPackage(origin.source)) {
+    return binding;
+  }
+  
+  return {
+    ...binding,
+    source: origin.source,
+    imported: origin.imported === 'default' ? binding.local : origin.imported,
+    kind: origin.imported === '*' ? 'namespace' : 'named',
+    via: binding.source
+  };
+}
+
+/**
+ * Record a component under its package in the imports map
+ */
+function trackImportedComponent(source, componentName) {
+  analysis.summary.packages.add(source);
+  
+  if (!analysis.imports.has(source)) {
+    analysis.imports.set(source, []);
+  }
+  
+  if (!analysis.imports.get(source).includes(componentName)) {
+    analysis.imports.get(source).push(componentName);
+  }
 }
 
 /**
  * Analyze import statements
+ *
+ * Returns the file's import bindings from tracked packages (local name ->
+ * binding), including default and namespace imports, plus project bindings
+ * that are followed per JSX tag.
  */
 function analyzeImports(ast, filePath) {
-  const fileImports = [];
+  const fileImports = new Map();
   
-  traverse(ast, {
-    ImportDeclaration(importPath) {
-      const source = importPath.node.source.value;
-      
-      // Check if this package is in our tracking list (exact match)
-      if (config.packagesToTrack.some(pkg => source === pkg)) {
-        const components = importPath.node.specifiers
-          .filter(spec => spec.type === 'ImportSpecifier')
-          .map(spec => spec.local.name);
-        
-        if (components.length > 0) {
-          fileImports.push({ source, components });
-          
-          // Track package usage
-          analysis.summary.packages.add(source);
-          
-          // Initialize package in imports map
-          if (!analysis.imports.has(source)) {
-            analysis.imports.set(source, []);
-          }
-          
-          components.forEach(comp => {
-            if (!analysis.imports.get(source).includes(comp)) {
-              analysis.imports.get(source).push(comp);
-            }
-          });
-        }
-      }
+  collectImportBindings(ast).forEach((importBinding, localName) => {
+    const binding = resolveImportOrigin(importBinding, filePath);
+    
+    if (binding.namespaceFile || binding.projectFile) {
+      fileImports.set(localName, binding);
+      return;
+    }
+    
+    // Check if this package is in our tracking list (exact match)
+    if (!isTrackedPackage(binding.source)) {
+      return;
     }
+    
+    fileImports.set(localName, binding);
   });
   
   return fileImports;
 }
 
+/**
+ * Get (or create) the record of a component declared in the project
+ */
+function getDefinition(filePath, localName) {
+  // Keyed by absolute path: the module resolver hands out absolute paths
+  filePath = path.resolve(filePath);
+  const key = `${filePath}#${localName}`;
+  
+  if (!analysis.definitions.has(key)) {
+    analysis.definitions.set(key, {
+      key,
+      name: localName === 'default' ? path.basename(filePath, path.extname(filePath)) : localName,
+      file: filePath,
+      renders: new Map(), // tracked componentName -> direct JSX count
+      children: new Set(), // keys of project components it renders
+      usages: 0
+    });
+  }
+  
+  return analysis.definitions.get(key);
+}
+
+/**
+ * Describe a JSX usage of a project component for the wrapper graph,
+ * or null when it cannot be matched to a declaration
+ */
+function describeProjectUsage(component, filePath, enclosingName) {
+  const binding = component.binding;
+  
+  if (binding && binding.projectFile) {
+    // `<Input>` imported from another project file, resolved once all files are read
+    if (component.localName !== binding.local) return null; // `<Input.Label>` members are not tracked
+    return {
+      file: binding.projectFile,
+      exportName: binding.projectExport,
+      from: enclosingName ? { file: filePath, name: enclosingName } : null
+    };
+  }
+  
+  if (!binding && !component.localName.includes('.')) {
+    // Declared in this same file (or a global)
+    return {
+      file: path.resolve(filePath),
+      localName: component.localName,
+      from: enclosingName ? { file: filePath, name: enclosingName } : null
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Build the wrapper graph and attribute usages of wrapper components
+ * to the tracked components they (transitively) render.
+ *
+ * A wrapper is a project component that renders a tracked component
+ * directly or through other wrappers. Every JSX usage of the wrapper
+ * counts as one usage "via" that wrapper.
+ */
+function buildWrapperGraph() {
+  // Resolve project usages to declared components
+  analysis.projectUsages.forEach(usage => {
+    const localName = usage.localName ||
+      (analysis.exportedLocals.get(usage.file) || new Map()).get(usage.exportName);
+    const key = `${usage.file}#${localName}`;
+    
+    if (!localName || !analysis.definitions.has(key)) return;
+    
+    analysis.definitions.get(key).usages++;
+    if (usage.from) {
+      getDefinition(usage.from.file, usage.from.name).children.add(key);
+    }
+  });
+  
+  // Tracked components each definition renders, directly or transitively
+  const wrapped = new Map();
+  const collectWrapped = (key, visiting = new Set()) => {
+    if (wrapped.has(key)) return wrapped.get(key);
+    if (visiting.has(key)) return new Set(); // Recursive components
+    visiting.add(key);
+    
+    const definition = analysis.definitions.get(key);
+    const components = new Set(definition.renders.keys());
+    definition.children.forEach(child => {
+      collectWrapped(child, visiting).forEach(name => components.add(name));
+    });
+    
+    visiting.delete(key);
+    wrapped.set(key, components);
+    return components;
+  };
+  
+  analysis.definitions.forEach((definition, key) => {
+    collectWrapped(key).forEach(componentName => {
+      const componentData = analysis.components.get(componentName);
+      if (!componentData || definition.usages === 0) return;
+      
+      componentData.wrappers.push({
+        name: definition.name,
+        file: definition.file,
+        usages: definition.usages
+      });
+    });
+  });
+  
+  analysis.components.forEach(componentData => {
+    componentData.wrappers.sort((a, b) => b.usages - a.usages || a.name.localeCompare(b.name));
+    componentData.transitiveUsages = componentData.totalUsages +
+      componentData.wrappers.reduce((sum, wrapper) => sum + wrapper.usages, 0);
+  });
+}
+
+/**
+ * Get the deprecated props configured for a component: name -> hint
+ *
+ * `deprecatedProps` maps component names (or "*" for all) to either a
+ * list of prop names or an object of prop name -> replacement hint.
+ */
+function getDeprecatedProps(componentName) {
+  const deprecated = new Map();
+  const entries = config.deprecatedProps || {};
+  
+  [entries['*'], entries[componentName]].forEach(entry => {
+    if (Array.isArray(entry)) {
+      entry.forEach(propName => deprecated.set(propName, null));
+    } else if (entry) {
+      Object.entries(entry).forEach(([propName, hint]) => deprecated.set(propName, hint || null));
+    }
+  });
+  
+  return deprecated;
+}
+
+/**
+ * Reduce JSX attributes to the props statistics need: { spread, props }
+ * where each prop is { name, value } and value is null unless literal
+ */
+function collectProps(attributes) {
+  return {
+    spread: attributes.some(attr => attr.type === 'JSXSpreadAttribute'),
+    props: attributes
+      .filter(attr => getPropName(attr))
+      .map(attr => {
+        const value = getLiteralPropValue(attr);
+        return { name: getPropName(attr), value: value === undefined ? null : value };
+      })
+  };
+}
+
+/**
+ * Record which props (and literal values) a tracked usage passes
+ */
+function recordPropUsage(componentData, usage) {
+  const deprecated = getDeprecatedProps(componentData.name);
+  
+  if (usage.spread) {
+    componentData.spreadUsages++;
+  }
+  
+  usage.props.forEach(({ name: propName, value }) => {
+    if (!componentData.props.has(propName)) {
+      componentData.props.set(propName, {
+        name: propName,
+        count: 0,
+        values: new Map(), // literal value -> count
+        dynamicValues: 0,
+        deprecated: deprecated.has(propName),
+        hint: deprecated.get(propName) || null
+      });
+    }
+    
+    const propData = componentData.props.get(propName);
+    propData.count++;
+    
+    if (value === null) {
+      propData.dynamicValues++;
+    } else {
+      propData.values.set(value, (propData.values.get(value) || 0) + 1);
+    }
+    
+    if (propData.deprecated) {
+      componentData.deprecatedPropUsages++;
+    }
+  });
+}
+
+/**
+ * Get a component's prop statistics, most used first
+ */
+function getSortedProps(component) {
+  return Array.from(component.props.values())
+    .sort((a, b) => (b.deprecated - a.deprecated) || b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the most common literal values of a prop, capped by reportOptions.maxPropValues
+ */
+function getTopPropValues(propData) {
+  const limit = (config.reportOptions && config.reportOptions.maxPropValues) || 10;
+  return Array.from(propData.values.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit);
+}
+
 /**
  * Analyze JSX usage
+ *
+ * Returns the tracked usages of a file ({ name, source, namespace, line,
+ * column, component, function, snippet, spread, props }) and its usages of
+ * project components for the wrapper graph. Nothing is added to the global
+ * analysis. Snippets are only captured when the file's `sourceLines` are given.
  */
-function analyzeJSXUsage(ast, filePath, fileImports) {
-  const componentUsage = new Map();
+function analyzeJSXUsage(ast, filePath, fileImports, sourceLines) {
+  const usages = [];
+  const projectUsages = [];
+  const snippetContextLines = config.reportOptions && config.reportOptions.snippetContextLines;
   
   traverse(ast, {
     JSXElement(jsxPath) {
       if (!jsxPath || !jsxPath.node || !jsxPath.node.openingElement) return;
       
-      const componentName = jsxPath.node.openingElement.name.name;
+      // Resolve aliases and `<RN.TextInput>` back to the imported component
+      let component = resolveJSXElement(jsxPath.node.openingElement.name, fileImports);
+      
+      // `<UI.TextInput>` on a project barrel: follow the member to its package
+      if (component && component.binding && component.binding.namespaceFile) {
+        const [member] = component.importedName.split('.');
+        const origin = moduleResolver.resolveExport(component.binding.namespaceFile, member);
+        component = origin && isTrackedPackage(origin.source)
+          ? { ...component, source: origin.source, importedName: origin.imported, kind: 'named', viaNamespace: true }
+          : null;
+      }
+      
+      if (!component) return;
+      
+      const enclosingName = getEnclosingComponentName(jsxPath);
+      
+      // Project components feed the wrapper graph instead of the usage counts
+      if (!isTrackedPackage(component.source)) {
+        const projectUsage = config.detectWrappers !== false && describeProjectUsage(component, filePath, enclosingName);
+        if (projectUsage) {
+          projectUsages.push(projectUsage);
+        }
+        return;
+      }
+      
+      const componentName = component.importedName;
       
       // Apply component filters (include/exclude)
       if (config.componentFilters.include.length > 0 && 
@@ -179,328 +484,427 @@ function analyzeJSXUsage(ast, filePath, fileImports) {
         return; // Skip if in exclude list
       }
       
-      // Check if this component is imported from tracked packages
-      const isTrackedComponent = fileImports.some(imp => 
-        imp.components.includes(componentName)
-      );
-      
-      if (isTrackedComponent) {
-        // Count usage
-        if (!componentUsage.has(componentName)) {
-          componentUsage.set(componentName, 0);
-        }
-        componentUsage.set(componentName, componentUsage.get(componentName) + 1);
-        
-        // Update global analysis
-        if (!analysis.components.has(componentName)) {
-          analysis.components.set(componentName, {
-            name: componentName,
-            totalUsages: 0,
-            files: new Map(),
-            packages: new Set(),
-            migrationPriority: 'low'
-          });
-        }
-        
-        const componentData = analysis.components.get(componentName);
-        componentData.totalUsages++;
-        
-        if (!componentData.files.has(filePath)) {
-          componentData.files.set(filePath, 0);
-        }
-        componentData.files.set(filePath, componentData.files.get(filePath) + 1);
-        
-        // Add package info
-        const importInfo = fileImports.find(imp => imp.components.includes(componentName));
-        if (importInfo) {
-          componentData.packages.add(importInfo.source);
-        }
-      }
+      const { start } = jsxPath.node.loc;
+      usages.push({
+        name: componentName,
+        source: component.source,
+        // Namespace members are only known to be imported once rendered
+        namespace: component.kind === 'namespace' || Boolean(component.viaNamespace),
+        line: start.line,
+        column: start.column + 1,
+        component: enclosingName,
+        function: getEnclosingFunctionName(jsxPath),
+        snippet: sourceLines ? captureSnippet(sourceLines, jsxPath.node.openingElement.loc, snippetContextLines) : null,
+        ...collectProps(jsxPath.node.openingElement.attributes)
+      });
     }
   });
   
-  return componentUsage;
+  return { usages, projectUsages };
 }
 
 /**
- * Process a single file
+ * Count usages per component name
  */
-function processFile(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const relativePath = path.relative(process.cwd(), filePath);
+function countUsages(usages) {
+  const counts = new Map();
+  usages.forEach(usage => counts.set(usage.name, (counts.get(usage.name) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Analyze the source of one file without touching the global analysis.
+ *
+ * The result is plain data (see recordFileResult) so it can be kept for
+ * comparisons, e.g. the ref version of a file in --since mode.
+ */
+function analyzeSource(content, filePath) {
+  // Parse the file
+  const ast = parseSource(content);
+  
+  // Analyze imports
+  const fileImports = analyzeImports(ast, filePath);
+  const trackedImports = Array.from(fileImports.values()).filter(binding => isTrackedPackage(binding.source));
+  
+  // Analyze JSX usage, with the source around each usage for the reports
+  const reportOptions = config.reportOptions || {};
+  const sourceLines = reportOptions.includeSnippets !== false ? splitLines(content) : null;
+  const { usages, projectUsages } = analyzeJSXUsage(ast, filePath, fileImports, sourceLines);
+  
+  return {
+    path: filePath,
+    imports: trackedImports.map(binding => ({
+      source: binding.source,
+      imported: binding.imported,
+      local: binding.local,
+      via: binding.via || null,
+      namespace: binding.kind === 'namespace'
+    })),
+    usages,
+    projectUsages,
+    // Remember what the file exports so other files' usages can be matched
+    exportedLocals: Array.from(collectExportedLocals(ast).entries())
+  };
+}
+
+/**
+ * Add the result of analyzeSource() to the global analysis
+ */
+function recordFileResult(result) {
+  const filePath = result.path;
+  
+  // Namespace imports are attributed per member once they are rendered
+  result.imports
+    .filter(fileImport => !fileImport.namespace)
+    .forEach(fileImport => trackImportedComponent(fileImport.source, fileImport.imported));
+  
+  result.usages.forEach(usage => {
+    const componentName = usage.name;
+    
+    // Update global analysis
+    if (!analysis.components.has(componentName)) {
+      analysis.components.set(componentName, {
+        name: componentName,
+        totalUsages: 0,
+        files: new Map(),
+        packages: new Set(),
+        usages: [], // { file, line, column, package, component, function, snippet } per JSX usage
+        wrappers: [], // project components rendering this one, see buildWrapperGraph()
+        props: new Map(), // propName -> usage statistics, see recordPropUsage()
+        spreadUsages: 0,
+        deprecatedPropUsages: 0,
+        transitiveUsages: 0,
+        migrationPriority: 'low',
+        score: 0, // see lib/scoring.js
+        effort: 0
+      });
+    }
+    
+    const componentData = analysis.components.get(componentName);
+    componentData.totalUsages++;
     
-    console.log(chalk.blue(`Analyzing: ${relativePath}`));
+    if (!componentData.files.has(filePath)) {
+      componentData.files.set(filePath, 0);
+    }
+    componentData.files.set(filePath, componentData.files.get(filePath) + 1);
     
-    // Parse the file
-    const ast = parse(content, {
-      sourceType: 'module',
-      plugins: ['jsx', 'typescript']
+    componentData.usages.push({
+      file: filePath,
+      line: usage.line,
+      column: usage.column,
+      package: usage.source,
+      component: usage.component,
+      function: usage.function,
+      snippet: usage.snippet
     });
     
-    // Analyze imports
-    const fileImports = analyzeImports(ast, filePath);
+    recordPropUsage(componentData, usage);
     
-    // Analyze JSX usage
-    const componentUsage = analyzeJSXUsage(ast, filePath, fileImports);
+    if (usage.component) {
+      const renders = getDefinition(filePath, usage.component).renders;
+      renders.set(componentName, (renders.get(componentName) || 0) + 1);
+    }
     
-    // Store file data
-    analysis.files.set(filePath, {
-      path: filePath,
-      relativePath,
-      imports: fileImports,
-      componentUsage: Object.fromEntries(componentUsage),
-      totalUsages: Array.from(componentUsage.values()).reduce((sum, count) => sum + count, 0)
-    });
+    // Add package info
+    componentData.packages.add(usage.source);
+    if (usage.namespace) {
+      trackImportedComponent(usage.source, componentName);
+    }
+  });
+  
+  analysis.projectUsages.push(...result.projectUsages);
+  analysis.exportedLocals.set(path.resolve(filePath), new Map(result.exportedLocals));
+  
+  // Store file data
+  const componentUsage = countUsages(result.usages);
+  analysis.files.set(filePath, {
+    path: filePath,
+    relativePath: path.relative(workingDir, filePath),
+    imports: result.imports.map(({ source, imported, local, via }) => ({ source, imported, local, via })),
+    componentUsage: Object.fromEntries(componentUsage),
+    totalUsages: result.usages.length
+  });
+  
+  analysis.summary.totalFiles++;
+}
+
+/**
+ * Read a file and look up its analysis in the cache
+ */
+function readFileForAnalysis(filePath) {
+  const content = sources ? sources.get(filePath) : fs.readFileSync(filePath, 'utf8');
+  return { filePath, content, cached: analysisCache.get(filePath, content) };
+}
+
+/**
+ * Analyze a file's content and list the barrel files its imports were
+ * followed through. Runs on worker threads too, so it returns plain data.
+ */
+function analyzeTask({ filePath, content }) {
+  return moduleResolver
+    ? moduleResolver.collectDependencies(() => analyzeSource(content, filePath))
+    : { result: analyzeSource(content, filePath), files: [] };
+}
+
+/**
+ * Process a single file
+ *
+ * `entry` is the readFileForAnalysis() result when already read, and
+ * `outcome` the { result } or { error } of analyzeTask() on a worker.
+ */
+function processFile(filePath, entry = null, outcome = null) {
+  try {
+    entry = entry || readFileForAnalysis(filePath);
+    const relativePath = path.relative(workingDir, filePath);
+    let result;
     
-    analysis.summary.totalFiles++;
+    if (entry.cached) {
+      logger.log(chalk.gray(`Cached: ${relativePath}`));
+      result = { ...entry.cached, path: filePath };
+    } else {
+      logger.log(chalk.blue(`Analyzing: ${relativePath}`));
+      
+      if (outcome && outcome.error) {
+        throw new Error(outcome.error);
+      }
+      
+      // Barrels followed through re-exports invalidate the entry when they change
+      const analyzed = outcome ? outcome.result : analyzeTask(entry);
+      result = analyzed.result;
+      analysisCache.set(filePath, entry.content, result, analyzed.files);
+    }
     
+    recordFileResult(result);
+  
   } catch (error) {
     const errorMsg = `Error analyzing ${filePath}: ${error.message}`;
-    console.error(chalk.red(`✗ ${errorMsg}`));
+    analysis.errors.push({ file: filePath, message: error.message });
+    logger.error(chalk.red(`✗ ${errorMsg}`));
   }
 }
 
 /**
- * Generate HTML report
+ * Process files, parsing cache misses on worker threads when there are
+ * enough of them. Results are recorded in file order either way, so the
+ * reports do not depend on which worker finished first.
  */
-function generateHTMLReport() {
-  // Calculate migration priorities
-  analysis.components.forEach(component => {
-    component.migrationPriority = getMigrationPriority(component.totalUsages);
+async function processFiles(files) {
+  const entries = files.map(filePath => {
+    try {
+      return readFileForAnalysis(filePath);
+    } catch (error) {
+      return null; // Reported by processFile()
+    }
+  });
+  
+  const pending = entries.filter(entry => entry && !entry.cached);
+  // Workers read barrels from disk, so in-memory file sets are parsed inline
+  const workerCount = sources ? 0 : getWorkerCount(pending.length, concurrency);
+  const outcomes = new Map();
+  
+  if (workerCount > 0) {
+    logger.log(chalk.gray(`Parsing ${pending.length} files on ${workerCount} worker threads...\n`));
+    const tasks = pending.map(({ filePath, content }) => ({ filePath, content }));
+    const results = await runInWorkers(__filename, tasks, workerCount, {
+      command: 'analyze',
+      config,
+      options: { concurrency }
+    });
+    pending.forEach((entry, index) => outcomes.set(entry, results[index]));
+  }
+  
+  files.forEach((filePath, index) => {
+    processFile(filePath, entries[index], outcomes.get(entries[index]) || null);
   });
+}
+
+/**
+ * Check whether a path is a source file the analyzer would glob
+ */
+function isAnalyzedFile(filePath) {
+  const srcFolder = path.resolve(config.srcFolder);
+  const relativePath = path.relative(srcFolder, filePath);
+  
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath) &&
+    !relativePath.split(path.sep).includes('node_modules') &&
+    config.fileExtensions.some(ext => filePath.endsWith(`.${ext.replace(/^\./, '')}`));
+}
+
+/**
+ * Find the source files changed since a git ref (see --since)
+ *
+ * Returns { ref, baseCommit, repoRoot, entries } where entries are
+ * { file, status, previousFile } limited to files the analyzer covers.
+ */
+function collectGitChanges(ref) {
+  const repoRoot = getRepoRoot(path.resolve(config.srcFolder));
+  const baseCommit = resolveBaseCommit(ref, repoRoot);
+  const entries = getChangedFiles(baseCommit, repoRoot)
+    .filter(entry => isAnalyzedFile(entry.file) || (entry.previousFile && isAnalyzedFile(entry.previousFile)));
   
-  // Sort components by usage count (descending)
-  const sortedComponents = Array.from(analysis.components.values())
-    .sort((a, b) => b.totalUsages - a.totalUsages);
-  
-  // Sort files by usage count (descending)
-  const sortedFiles = Array.from(analysis.files.values())
-    .sort((a, b) => b.totalUsages - a.totalUsages);
-  
-  const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>React Native Component Migration Report</title>
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; }
-        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
-        .header { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); margin-bottom: 20px; }
-        .header h1 { color: #007bff; margin-bottom: 10px; }
-        .summary-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-bottom: 30px; }
-        .summary-card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); text-align: center; }
-        .summary-card h3 { color: #6c757d; font-size: 14px; margin-bottom: 10px; }
-        .summary-card .number { font-size: 32px; font-weight: bold; color: #007bff; }
-        .section { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); margin-bottom: 20px; }
-        .section h2 { color: #495057; margin-bottom: 20px; border-bottom: 2px solid #e9ecef; padding-bottom: 10px; }
-        .component-item { background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #007bff; }
-        .component-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; }
-        .component-name { font-size: 18px; font-weight: bold; color: #495057; }
-        .usage-count { background: #007bff; color: white; padding: 5px 12px; border-radius: 20px; font-size: 14px; }
-        .priority-badge { padding: 5px 12px; border-radius: 20px; color: white; font-size: 12px; font-weight: bold; }
-        .file-list { margin-top: 15px; }
-        .file-item { display: flex; justify-content: space-between; align-items: center; padding: 8px 0; border-bottom: 1px solid #e9ecef; }
-        .file-item:last-child { border-bottom: none; }
-        .file-path { font-family: monospace; color: #6c757d; }
-        .file-path a { color: #007bff; text-decoration: none; }
-        .file-path a:hover { text-decoration: underline; }
-        .file-usage { background: #e9ecef; color: #495057; padding: 3px 8px; border-radius: 12px; font-size: 12px; }
-        .package-info { margin-top: 10px; font-size: 14px; color: #6c757d; }
-        .package-tag { background: #e9ecef; color: #495057; padding: 3px 8px; border-radius: 12px; font-size: 12px; margin-right: 5px; }
-        .migration-tips { background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 20px; margin-top: 20px; }
-        .migration-tips h4 { color: #856404; margin-bottom: 10px; }
-        .migration-tips ul { margin-left: 20px; }
-        .migration-tips li { margin-bottom: 5px; color: #856404; }
-        .high-priority { border-left-color: #dc3545; }
-        .medium-priority { border-left-color: #ffc107; }
-        .low-priority { border-left-color: #28a745; }
-        .tabs { display: flex; border-bottom: 1px solid #dee2e6; margin-bottom: 20px; }
-        .tab { padding: 10px 20px; cursor: pointer; border: none; background: none; color: #6c757d; }
-        .tab.active { color: #007bff; border-bottom: 2px solid #007bff; }
-        .tab-content { display: none; }
-        .tab-content.active { display: block; }
-        .search-box { width: 100%; padding: 10px; border: 1px solid #dee2e6; border-radius: 5px; margin-bottom: 20px; font-size: 16px; }
-        @media (max-width: 768px) { .summary-grid { grid-template-columns: 1fr; } .component-header { flex-direction: column; align-items: flex-start; gap: 10px; } }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🔍 React Native Component Migration Report</h1>
-            <p>Generated on ${analysis.summary.startTime.toLocaleString()}</p>
-            <p>Source folder: ${config.srcFolder}</p>
-        </div>
-        
-        <div class="summary-grid">
-            <div class="summary-card">
-                <h3>Files Analyzed</h3>
-                <div class="number">${analysis.summary.totalFiles}</div>
-            </div>
-            <div class="summary-card">
-                <h3>Components Found</h3>
-                <div class="number">${analysis.summary.totalComponents}</div>
-            </div>
-            <div class="summary-card">
-                <h3>Total Usages</h3>
-                <div class="number">${analysis.summary.totalUsages}</div>
-            </div>
-            <div class="summary-card">
-                <h3>Packages Tracked</h3>
-                <div class="number">${analysis.summary.packages.size}</div>
-            </div>
-        </div>
-        
-        <div class="section">
-            <h2>📊 Component Analysis</h2>
-            <input type="text" class="search-box" placeholder="Search components..." onkeyup="filterComponents(this.value)">
-            
-            ${sortedComponents.map(component => `
-                <div class="component-item ${component.migrationPriority}-priority">
-                    <div class="component-header">
-                        <div>
-                            <div class="component-name">${component.name}</div>
-                            <div class="package-info">
-                                ${Array.from(component.packages).map(pkg => `<span class="package-tag">${pkg}</span>`).join('')}
-                            </div>
-                        </div>
-                        <div style="display: flex; gap: 10px; align-items: center;">
-                            <span class="usage-count">${component.totalUsages} usages</span>
-                            <span class="priority-badge" style="background-color: ${getPriorityColor(component.migrationPriority)}">
-                                ${component.migrationPriority.toUpperCase()} PRIORITY
-                            </span>
-                        </div>
-                    </div>
-                    
-                    <div class="file-list">
-                        ${Array.from(component.files.entries()).map(([filePath, count]) => {
-                            const relativePath = path.relative(process.cwd(), filePath);
-                            const githubUrl = generateGitHubUrl(filePath);
-                            
-                            if (githubUrl) {
-                                return `
-                                    <div class="file-item">
-                                        <span class="file-path">
-                                            <a href="${githubUrl}" target="_blank" style="color: #007bff; text-decoration: none;">
-                                                ${relativePath} 🔗
-                                            </a>
-                                        </span>
-                                        <span class="file-usage">${count} usage${count > 1 ? 's' : ''}</span>
-                                    </div>
-                                `;
-                            } else {
-                                return `
-                                    <div class="file-item">
-                                        <span class="file-path">${relativePath}</span>
-                                        <span class="file-usage">${count} usage${count > 1 ? 's' : ''}</span>
-                                    </div>
-                                `;
-                            }
-                        }).join('')}
-                    </div>
-                    
-                    <div class="migration-tips">
-                        <h4>💡 Migration Tips</h4>
-                        <ul>
-                            ${component.migrationPriority === 'high' ? 
-                                '<li>High usage - prioritize custom component development</li>' : ''}
-                            ${component.migrationPriority === 'medium' ? 
-                                '<li>Medium usage - plan for next development cycle</li>' : ''}
-                            ${component.migrationPriority === 'low' ? 
-                                '<li>Low usage - can be migrated later</li>' : ''}
-                            <li>Found in ${component.files.size} file${component.files.size > 1 ? 's' : ''}</li>
-                            <li>Imported from: ${Array.from(component.packages).join(', ')}</li>
-                        </ul>
-                    </div>
-                </div>
-            `).join('')}
-        </div>
-        
-        <div class="section">
-            <h2>📁 File Impact Analysis</h2>
-            <p>Files ordered by total component usage (most impacted first)</p>
-            
-            ${sortedFiles.map(file => {
-                const githubUrl = generateGitHubUrl(file.path);
-                
-                if (githubUrl) {
-                    return `
-                        <div class="file-item">
-                            <span class="file-path">
-                                <a href="${githubUrl}" target="_blank" style="color: #007bff; text-decoration: none;">
-                                    ${file.relativePath} 🔗
-                                </a>
-                            </span>
-                            <span class="file-usage">${file.totalUsages} component usage${file.totalUsages > 1 ? 's' : ''}</span>
-                        </div>
-                    `;
-                } else {
-                    return `
-                        <div class="file-item">
-                            <span class="file-path">${file.relativePath}</span>
-                            <span class="file-usage">${file.totalUsages} component usage${file.totalUsages > 1 ? 's' : ''}</span>
-                        </div>
-                    `;
-                }
-            }).join('')}
-        </div>
-        
-        <div class="section">
-            <h2>📦 Package Analysis</h2>
-            ${Array.from(analysis.imports.entries()).map(([packageName, components]) => `
-                <div style="margin-bottom: 20px;">
-                    <h3 style="color: #495057; margin-bottom: 10px;">${packageName}</h3>
-                    <div style="display: flex; flex-wrap: wrap; gap: 5px;">
-                        ${components.map(comp => `<span class="package-tag">${comp}</span>`).join('')}
-                    </div>
-                </div>
-            `).join('')}
-        </div>
-    </div>
+  return { ref, baseCommit, repoRoot, entries };
+}
+
+/**
+ * Compare the changed files with their version at the base commit:
+ * usages introduced and removed per file and per component
+ */
+function diffGitChanges(changes, analyzedFiles) {
+  const components = new Map(); // name -> { name, introduced, removed }
+  const files = [];
+  
+  changes.entries.forEach(entry => {
+    const analyzedPath = analyzedFiles.get(entry.file);
+    const after = analyzedPath && analysis.files.has(analyzedPath)
+      ? new Map(Object.entries(analysis.files.get(analyzedPath).componentUsage))
+      : new Map();
     
-    <script>
-        function filterComponents(searchTerm) {
-            const components = document.querySelectorAll('.component-item');
-            searchTerm = searchTerm.toLowerCase();
-            
-            components.forEach(component => {
-                const componentName = component.querySelector('.component-name').textContent.toLowerCase();
-                if (componentName.includes(searchTerm)) {
-                    component.style.display = 'block';
-                } else {
-                    component.style.display = 'none';
-                }
-            });
-        }
-    </script>
-</body>
-</html>`;
+    let before = new Map();
+    const previousContent = entry.status === 'added'
+      ? null
+      : readFileAtCommit(changes.baseCommit, entry.previousFile || entry.file, changes.repoRoot);
+    if (previousContent !== null) {
+      try {
+        before = countUsages(analyzeSource(previousContent, entry.previousFile || entry.file).usages);
+      } catch (error) {
+        logger.warn(chalk.yellow(`⚠️  Could not analyze ${entry.file} at ${changes.ref}: ${error.message}`));
+      }
+    }
+    
+    const introduced = {};
+    const removed = {};
+    new Set([...before.keys(), ...after.keys()]).forEach(name => {
+      const delta = (after.get(name) || 0) - (before.get(name) || 0);
+      if (delta === 0) return;
+      
+      if (!components.has(name)) {
+        components.set(name, { name, introduced: 0, removed: 0 });
+      }
+      if (delta > 0) {
+        introduced[name] = delta;
+        components.get(name).introduced += delta;
+      } else {
+        removed[name] = -delta;
+        components.get(name).removed -= delta;
+      }
+    });
+    
+    if (Object.keys(introduced).length > 0 || Object.keys(removed).length > 0) {
+      files.push({
+        path: path.relative(workingDir, entry.file),
+        status: entry.status,
+        previousPath: entry.previousFile ? path.relative(workingDir, entry.previousFile) : null,
+        introduced,
+        removed
+      });
+    }
+  });
+  
+  const componentList = Array.from(components.values())
+    .map(comp => ({ ...comp, net: comp.introduced - comp.removed }))
+    .sort((a, b) => b.net - a.net || a.name.localeCompare(b.name));
+  
+  return {
+    since: changes.ref,
+    baseCommit: changes.baseCommit,
+    changedFiles: changes.entries.length,
+    totals: {
+      introduced: componentList.reduce((sum, comp) => sum + comp.introduced, 0),
+      removed: componentList.reduce((sum, comp) => sum + comp.removed, 0)
+    },
+    components: componentList,
+    files
+  };
+}
 
-  return html;
+/**
+ * Parse a --format list ("html,markdown") into format names
+ */
+function parseFormats(value) {
+  const formats = value.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const unknown = formats.filter(format => !REPORT_FORMATS[format]);
+  
+  if (formats.length === 0 || unknown.length > 0) {
+    throw new UsageError(`Unknown report format "${unknown[0] || value}". Available: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+  
+  return [...new Set(formats)];
+}
+
+/**
+ * Formats turned on by the reportOptions flags (generateHTML, generateJSON, ...)
+ */
+function getConfiguredFormats() {
+  const reportOptions = config.reportOptions || {};
+  return Object.keys(REPORT_FORMATS).filter(format => {
+    const { option } = REPORT_FORMATS[format];
+    return reportOptions[option] !== undefined ? reportOptions[option] : Boolean(REPORT_FORMATS[format].default);
+  });
+}
+
+/**
+ * Write the report in each format next to the others, returning
+ * `{ label, path }` per file written
+ */
+function writeReports(report, policy, formats) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  
+  return formats.map(format => {
+    const reporter = REPORT_FORMATS[format];
+    const reportPath = `component-migration-report-${timestamp}.${reporter.extension}`;
+    fs.writeFileSync(reportPath, reporter.render(report, { policy, config, sourceUrl: generateSourceUrl }));
+    return { label: reporter.label, path: reportPath };
+  });
 }
 
 /**
- * Generate JSON report
+ * Build the JSON report data
  */
-function generateJSONReport() {
+function buildJSONReport() {
   const report = {
     summary: {
       totalFiles: analysis.summary.totalFiles,
       totalComponents: analysis.summary.totalComponents,
       totalUsages: analysis.summary.totalUsages,
+      deprecatedPropUsages: analysis.summary.deprecatedPropUsages,
       packages: Array.from(analysis.summary.packages),
       generatedAt: analysis.summary.startTime.toISOString(),
-      sourceFolder: config.srcFolder
+      sourceFolder: path.relative(workingDir, config.srcFolder) || '.'
     },
     components: Array.from(analysis.components.values()).map(comp => ({
       name: comp.name,
       totalUsages: comp.totalUsages,
+      transitiveUsages: comp.transitiveUsages,
+      wrappers: comp.wrappers.map(wrapper => ({
+        name: wrapper.name,
+        file: path.relative(workingDir, wrapper.file),
+        usages: wrapper.usages
+      })),
       migrationPriority: comp.migrationPriority,
+      score: comp.score,
+      effort: comp.effort,
+      spreadUsages: comp.spreadUsages,
+      deprecatedPropUsages: comp.deprecatedPropUsages,
+      props: getSortedProps(comp).map(prop => ({
+        name: prop.name,
+        count: prop.count,
+        values: Object.fromEntries(getTopPropValues(prop)),
+        dynamicValues: prop.dynamicValues,
+        deprecated: prop.deprecated,
+        hint: prop.hint
+      })),
       packages: Array.from(comp.packages),
-      files: Object.fromEntries(comp.files)
+      files: Object.fromEntries(Array.from(comp.files, ([file, count]) => [path.relative(workingDir, file), count])),
+      usages: comp.usages.map(usage => ({
+        file: path.relative(workingDir, usage.file),
+        line: usage.line,
+        column: usage.column,
+        package: usage.package,
+        component: usage.component,
+        function: usage.function,
+        url: generateSourceUrl(usage.file, usage.line, usage.column),
+        snippet: usage.snippet || null
+      }))
     })),
     files: Array.from(analysis.files.values()).map(file => ({
       path: file.relativePath,
@@ -510,49 +914,219 @@ function generateJSONReport() {
     imports: Object.fromEntries(analysis.imports)
   };
   
-  return JSON.stringify(report, null, 2);
+  return report;
+}
+
+/**
+ * Analyze the source files (or the in-memory file set) with the settings
+ * set by configure().
+ *
+ * Returns { analysis, report, policy, files, changedFiles }: the analysis
+ * maps, the JSON report data, the policy result when enforcing, the files
+ * analyzed and, with a `since` ref, how many source files changed.
+ */
+async function runAnalysis() {
+  analysis = createAnalysis();
+  
+  // Find all matching files
+  let files = sources ? Array.from(sources.keys()) : await findSourceFiles(config);
+  
+  // Restrict to files changed since the ref (deleted files only count as removals)
+  let gitChanges = null;
+  const analyzedFiles = new Map(); // absolute path -> path as globbed
+  if (sinceRef) {
+    gitChanges = collectGitChanges(sinceRef);
+    const changed = new Set(gitChanges.entries.map(entry => entry.file));
+    files = files.filter(file => changed.has(path.resolve(file)));
+    files.forEach(file => analyzedFiles.set(path.resolve(file), file));
+    
+    logger.log(chalk.yellow(`🔀 Changes since ${sinceRef} (${gitChanges.baseCommit.slice(0, 8)}): ${gitChanges.entries.length} source file${gitChanges.entries.length === 1 ? '' : 's'}`));
+  }
+  
+  const changedFiles = gitChanges ? gitChanges.entries.length : null;
+  if (gitChanges ? changedFiles > 0 : files.length > 0) {
+    logger.log(chalk.blue(`Found ${files.length} files to analyze.\n`));
+  }
+  
+  // Process each file
+  await processFiles(files);
+  
+  analysisCache.save();
+  
+  // Attribute usages of wrapper components to what they render
+  buildWrapperGraph();
+  
+  if (gitChanges) {
+    analysis.changes = diffGitChanges(gitChanges, analyzedFiles);
+  }
+  
+  // Calculate summary
+  analysis.summary.totalComponents = analysis.components.size;
+  analysis.summary.totalUsages = Array.from(analysis.components.values())
+    .reduce((sum, comp) => sum + comp.totalUsages, 0);
+  analysis.summary.deprecatedPropUsages = Array.from(analysis.components.values())
+    .reduce((sum, comp) => sum + comp.deprecatedPropUsages, 0);
+  
+  // Score components for the migration priority and effort estimate
+  const scoringModel = createScoringModel(config);
+  analysis.components.forEach(component => {
+    const { score, priority, effort } = scoreComponent(component.name, {
+      usages: component.transitiveUsages,
+      files: component.files.size,
+      props: component.props.size,
+      deprecatedProps: component.deprecatedPropUsages
+    }, scoringModel);
+    component.score = score;
+    component.migrationPriority = priority;
+    component.effort = effort;
+  });
+  
+  const report = buildJSONReport();
+  report.plan = buildMigrationPlan(report.components, scoringModel);
+  if (analysis.changes) {
+    report.summary.since = analysis.changes.since;
+    report.changes = analysis.changes;
+  }
+  
+  // Compare with earlier runs
+  if (baselineReport) {
+    analysis.comparison = compareReports(baselineReport, report);
+    report.comparison = analysis.comparison;
+  }
+  
+  if (historyFolder) {
+    analysis.history = [...loadReportHistory(historyFolder), toHistoryPoint(report)];
+    report.history = analysis.history;
+  }
+  
+  const policy = enforcePolicy ? evaluatePolicy(config.policy, report, baselineReport) : null;
+  
+  return { analysis, report, policy, files, changedFiles };
 }
 
+// Runs share the module state above, so they are queued
+const enqueueRun = createRunQueue();
+
 /**
- * Main execution function
+ * Reject options that need the whole project next to --since, which only
+ * analyzes the changed files: budgets would count a fraction of the usages
+ * and a baseline would see every untouched component as migrated
  */
-async function main() {
+function checkSinceOptions(options) {
+  if (!options.since) {
+    return;
+  }
+  
+  const conflicts = ['enforce', 'baseline', 'history'].filter(name => options[name]);
+  if (conflicts.length > 0) {
+    throw new UsageError(
+      `--since only analyzes the changed files and cannot be combined with ${conflicts.map(name => `--${name}`).join(', ')}. ` +
+      'Run those on a full analysis.'
+    );
+  }
+}
+
+/**
+ * Read the baseline report, throwing a ConfigError for a missing or
+ * malformed file
+ */
+function readBaseline(reportPath) {
+  if (!fs.existsSync(reportPath)) {
+    throw new ConfigError(`Baseline report does not exist: ${reportPath}`);
+  }
+  
+  try {
+    return loadReport(reportPath);
+  } catch (error) {
+    throw new ConfigError(error instanceof SyntaxError
+      ? `Baseline report ${reportPath} is not valid JSON: ${error.message}`
+      : error.message);
+  }
+}
+
+/**
+ * Check run options against a loaded config, configure and analyze.
+ * Throws a ConfigError for an unusable policy, baseline or history folder
+ * before any file is scanned.
+ */
+function analyzeWithConfig(loadedConfig, options) {
+  const cwd = options.cwd || process.cwd();
+  let baseline = options.baseline ? path.resolve(cwd, options.baseline) : null;
+  const history = options.history ? path.resolve(cwd, options.history) : null;
+  
+  if (options.enforce) {
+    const problems = validatePolicy(loadedConfig.policy);
+    if (problems.length > 0) {
+      throw new ConfigError('Invalid policy in config:', problems);
+    }
+    
+    // The policy's baseline is relative to the config file
+    baseline = baseline || (loadedConfig.policy.baseline
+      ? path.resolve(loadedConfig.rootDir, loadedConfig.policy.baseline)
+      : null);
+  }
+  
+  if (history && !fs.existsSync(history)) {
+    throw new ConfigError(`History folder does not exist: ${history}`);
+  }
+  
+  configure(loadedConfig, { ...options, history, baselineReport: baseline ? readBaseline(baseline) : null });
+  return runAnalysis();
+}
+
+/**
+ * Analyze a project's component usage (Node API).
+ *
+ * options.config      - config object, as in a config file (relative paths are relative to `cwd`)
+ * options.configPath  - config file to load; without either, one is searched for from `cwd`
+ * options.cwd         - working directory (process.cwd())
+ * options.files       - in-memory file set `{ path: content }` analyzed instead of srcFolder
+ * options.baseline    - JSON report to compare with (relative to `cwd`)
+ * options.history     - folder of JSON reports for the burndown (relative to `cwd`)
+ * options.since       - only analyze files changed since this git ref
+ * options.enforce     - evaluate the policy in the config
+ * options.cache       - reuse cached per-file results (true; never for in-memory files)
+ * options.concurrency - worker threads (number of CPUs)
+ * options.logger      - `{ log, warn, error }` for progress output (silent)
+ *
+ * Resolves with { analysis, report, policy, files, changedFiles } (see
+ * runAnalysis()); rejects with a ConfigError for an invalid config or a
+ * missing or malformed baseline and a UsageError for `since` combined with
+ * `enforce`, `baseline` or `history`, before any file is scanned.
+ * Never exits the process.
+ */
+function analyze(options = {}) {
+  return enqueueRun(() => {
+    checkSinceOptions(options);
+    const { config: loadedConfig, runOptions } = prepareRun('analyze', options);
+    return analyzeWithConfig(loadedConfig, { ...options, ...runOptions });
+  });
+}
+
+/**
+ * Run the analysis for the CLI: print progress and the summary, write the
+ * reports and exit with the policy result
+ */
+async function main(loadedConfig, options) {
   console.log(chalk.yellow.bold('🔍 React Native Component Analyzer'));
   console.log(chalk.gray('Analyzing components for migration planning...\n'));
   
   try {
-    // Find all matching files
-    const pattern = `${config.srcFolder}/**/*.{${config.fileExtensions.join(',')}}`;
-    const files = await glob(pattern, { ignore: ['**/node_modules/**'] });
+    const result = await enqueueRun(() => analyzeWithConfig(loadedConfig, { ...options, logger: console }));
+    const { report, policy } = result;
     
-    if (files.length === 0) {
-      console.log(chalk.yellow('No files found matching the pattern.'));
+    if (result.changedFiles === 0) {
+      console.log(chalk.green(`No source files changed since ${sinceRef}.`));
       return;
     }
     
-    console.log(chalk.blue(`Found ${files.length} files to analyze.\n`));
-    
-    // Process each file
-    for (const file of files) {
-      processFile(file);
+    if (result.files.length === 0 && result.changedFiles === null) {
+      console.log(chalk.yellow('No files found matching the pattern.'));
+      return;
     }
     
-    // Calculate summary
-    analysis.summary.totalComponents = analysis.components.size;
-    analysis.summary.totalUsages = Array.from(analysis.components.values())
-      .reduce((sum, comp) => sum + comp.totalUsages, 0);
-    
-    // Generate reports
-    const htmlReport = generateHTMLReport();
-    const jsonReport = generateJSONReport();
-    
     // Write reports
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const htmlPath = `component-migration-report-${timestamp}.html`;
-    const jsonPath = `component-migration-report-${timestamp}.json`;
-    
-    fs.writeFileSync(htmlPath, htmlReport);
-    fs.writeFileSync(jsonPath, jsonReport);
+    const written = writeReports(report, policy, options.formats || getConfiguredFormats());
     
     console.log(chalk.green.bold('\n✅ Analysis Complete!'));
     console.log(chalk.gray('─'.repeat(50)));
@@ -561,27 +1135,238 @@ async function main() {
     console.log(`   Components found: ${analysis.summary.totalComponents}`);
     console.log(`   Total usages: ${analysis.summary.totalUsages}`);
     console.log(`   Packages tracked: ${analysis.summary.packages.size}`);
+    if (analysisCache.stats.hits > 0) {
+      console.log(chalk.gray(`   Cache: ${analysisCache.stats.hits} cached, ${analysisCache.stats.misses} parsed`));
+    }
+    if (analysis.summary.deprecatedPropUsages > 0) {
+      console.log(chalk.red(`   Deprecated prop usages: ${analysis.summary.deprecatedPropUsages}`));
+    }
     console.log(chalk.gray('─'.repeat(50)));
-    console.log(chalk.green(`📄 HTML Report: ${htmlPath}`));
-    console.log(chalk.green(`📄 JSON Report: ${jsonPath}`));
+    if (analysis.changes) {
+      const { totals, components } = analysis.changes;
+      console.log(chalk.blue(`🔀 Since ${analysis.changes.since}:`));
+      console.log(`   Usages introduced: ${chalk.red(totals.introduced)}, removed: ${chalk.green(totals.removed)}`);
+      components.forEach(comp => {
+        console.log(`   ${comp.name}: ${chalk.red(`+${comp.introduced}`)} ${chalk.green(`-${comp.removed}`)}`);
+      });
+      console.log(chalk.gray('─'.repeat(50)));
+    }
+    if (analysis.comparison) {
+      const { totals, components, regressions } = analysis.comparison;
+      const color = totals.delta > 0 ? chalk.red : chalk.green;
+      console.log(chalk.blue(`📉 Since baseline:`));
+      console.log(`   Usages: ${totals.before} → ${totals.after} (${color(formatDelta(totals.delta))})`);
+      console.log(`   Components migrated: ${components.removed.length}`);
+      if (regressions.length > 0) {
+        console.log(chalk.red(`   Regressions: ${regressions.map(comp => `${comp.name} ${formatDelta(comp.delta)}`).join(', ')}`));
+      }
+      console.log(chalk.gray('─'.repeat(50)));
+    }
+    written.forEach(file => console.log(chalk.green(`📄 ${file.label} Report: ${file.path}`)));
+    if (written.length === 0) {
+      console.log(chalk.gray('No report formats selected (see reportOptions or --format)'));
+    }
     console.log(chalk.gray('─'.repeat(50)));
     
-    // Show top components by usage
-    const topComponents = Array.from(analysis.components.values())
-      .sort((a, b) => b.totalUsages - a.totalUsages)
-      .slice(0, 5);
-    
-    console.log(chalk.yellow.bold('\n🏆 Top Components by Usage:'));
-    topComponents.forEach((comp, index) => {
-      const priority = getPriorityColor(comp.migrationPriority);
-      console.log(`${index + 1}. ${comp.name} - ${comp.totalUsages} usages (${comp.migrationPriority.toUpperCase()} priority)`);
+    // Show the top of the migration plan
+    const { plan } = report;
+    console.log(chalk.yellow.bold('\n🏆 Migration Plan (highest score first):'));
+    plan.components.slice(0, 5).forEach(item => {
+      const comp = analysis.components.get(item.name);
+      console.log(`${item.rank}. ${item.name} - ${item.factors.usages} usages, score ${item.score} (${item.priority.toUpperCase()} priority, ~${item.effort} ${plan.unit})`);
+      if (comp.wrappers.length > 0) {
+        console.log(chalk.gray(`   ${describeUsageBreakdown(comp)}`));
+      }
     });
+    if (plan.components.length > 0) {
+      console.log(chalk.gray(`   Estimated effort for all ${plan.components.length} components: ${plan.totalEffort} ${plan.unit}`));
+    }
     
+    if (policy) {
+      const { violations, skipped } = policy;
+      
+      console.log(chalk.yellow.bold('\n🚦 Policy Check:'));
+      skipped.forEach(message => console.log(chalk.yellow(`⚠️  Skipped: ${message}`)));
+      
+      if (violations.length > 0) {
+        violations.forEach(violation => console.log(chalk.red(`✗ ${violation.message}`)));
+        console.log(chalk.red.bold(`\n❌ ${violations.length} policy violation${violations.length > 1 ? 's' : ''}`));
+        process.exit(1);
+      }
+      
+      console.log(chalk.green('✅ All migration budgets respected'));
+    }
+  
   } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(chalk.red(`❌ Error: ${error.message}`));
+      process.exit(2);
+    }
     console.error(chalk.red(`Fatal error: ${error.message}`));
     process.exit(1);
   }
 }
 
-// Run the script
-main().catch(console.error);
+/**
+ * Print command line usage
+ */
+function printHelp() {
+  console.log(chalk.blue.bold('🔍 React Native Component Analyzer - Usage'));
+  console.log(chalk.gray('─'.repeat(60)));
+  console.log(chalk.blue('Basic usage:'));
+  console.log('  rn-migrate analyze');
+  console.log('  rn-migrate analyze --src /path/to/your/src --config ./custom-config.json');
+  console.log('');
+  console.log(chalk.blue('Compare with a previous report:'));
+  console.log('  rn-migrate analyze --baseline ./reports/last.json');
+  console.log('');
+  console.log(chalk.blue('Burndown chart from a folder of reports:'));
+  console.log('  rn-migrate analyze --history ./reports');
+  console.log('');
+  console.log(chalk.blue('Only files changed since a git ref (PRs, pre-commit hooks):'));
+  console.log('  rn-migrate analyze --since origin/main');
+  console.log('');
+  console.log(chalk.blue('Fail when the policy in the config is violated (CI):'));
+  console.log('  rn-migrate analyze --enforce');
+  console.log('  rn-migrate analyze --enforce --baseline ./reports/main.json');
+  console.log('');
+  console.log(chalk.blue('Choose report formats (html, json, markdown, csv, sarif, junit):'));
+  console.log('  rn-migrate analyze --format markdown,sarif');
+  console.log('');
+  console.log(chalk.blue('Options:'));
+  printOptions(OPTIONS);
+  console.log('');
+  console.log(chalk.gray('─'.repeat(60)));
+}
+
+/**
+ * Set up the module state from a loaded config and parsed options
+ */
+function configure(loadedConfig, options) {
+  config = loadedConfig;
+  baselineReport = options.baselineReport || null;
+  historyFolder = options.history || null;
+  enforcePolicy = Boolean(options.enforce);
+  sinceRef = options.since || null;
+  concurrency = options.concurrency;
+  workingDir = options.cwd || process.cwd();
+  sources = options.files || null;
+  logger = options.logger || console;
+  
+  const moduleResolution = config.moduleResolution || {};
+  moduleResolver = moduleResolution.followReExports === false ? null : createModuleResolver({
+    rootDir: config.rootDir,
+    tsconfig: moduleResolution.tsconfig,
+    babelConfig: moduleResolution.babelConfig,
+    alias: moduleResolution.alias,
+    extensions: config.fileExtensions,
+    files: sources
+  });
+  
+  const cacheOptions = config.cache || {};
+  const reportOptions = config.reportOptions || {};
+  analysisCache = createAnalysisCache({
+    name: 'analyzer',
+    enabled: options.cache && !sources && cacheOptions.enabled !== false,
+    rootDir: config.rootDir,
+    directory: cacheOptions.directory,
+    toolFiles: [__filename],
+    config: {
+      packagesToTrack: config.packagesToTrack,
+      componentFilters: config.componentFilters,
+      detectWrappers: config.detectWrappers,
+      moduleResolution: config.moduleResolution,
+      // What the tsconfig and babel config resolve to, not just their paths
+      resolverSettings: moduleResolver ? moduleResolver.getSettings() : null,
+      // Cached usages carry their source snippets
+      snippets: {
+        include: reportOptions.includeSnippets,
+        contextLines: reportOptions.snippetContextLines
+      }
+    }
+  });
+}
+
+/**
+ * Run the command with command line arguments (without the command name)
+ */
+async function run(argv) {
+  let options;
+  let formats = null;
+  try {
+    options = parseArgs(argv, OPTIONS);
+    formats = options.format ? parseFormats(options.format) : null;
+    checkSinceOptions(options);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    console.error(chalk.gray('Run with --help to see the available options.'));
+    process.exit(2);
+  }
+  
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  
+  let loadedConfig;
+  try {
+    loadedConfig = loadConfig('analyze', { configPath: options.config });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(2);
+  }
+  
+  // Override src folder if custom path provided
+  if (options.src) {
+    const absolutePath = path.resolve(process.cwd(), options.src);
+    if (!fs.existsSync(absolutePath)) {
+      console.error(chalk.red(`❌ Error: Source folder does not exist: ${options.src}`));
+      process.exit(1);
+    }
+    
+    loadedConfig.srcFolder = absolutePath;
+    console.log(chalk.yellow(`📁 Using custom source folder: ${absolutePath}`));
+  }
+  
+  if (options.baseline && !fs.existsSync(options.baseline)) {
+    console.error(chalk.red(`❌ Error: Baseline report does not exist: ${options.baseline}`));
+    process.exit(1);
+  }
+  
+  if (options.history && !fs.existsSync(options.history)) {
+    console.error(chalk.red(`❌ Error: History folder does not exist: ${options.history}`));
+    process.exit(1);
+  }
+  
+  await main(loadedConfig, {
+    baseline: options.baseline,
+    history: options.history,
+    since: options.since,
+    // Exit codes of --enforce: 1 for policy violations, 2 for an unusable policy
+    enforce: options.enforce,
+    cache: options.cache,
+    concurrency: options.concurrency,
+    formats
+  });
+}
+
+// Parse files for the main thread when started as a worker,
+// or run the command when executed directly
+if (!isMainThread && workerData && workerData.command === 'analyze') {
+  // Workers only parse; the main thread owns the cache
+  configure(workerData.config, { ...workerData.options, cache: false });
+  serveTasks(analyzeTask);
+} else if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  OPTIONS,
+  analyze,
+  run
+};
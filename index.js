@@ -0,0 +1,21 @@
+/**
+ * Node API of the migration toolkit.
+ *
+ *   const { analyze, addProps } = require('add-props-script');
+ *
+ * Both take the settings of a config file as an object (or find the config
+ * like the CLI does), can work on an in-memory file set and resolve with
+ * structured results; neither prints unless given a logger nor exits.
+ */
+
+const { analyze } = require('./component-analyzer');
+const { addProps } = require('./add-props');
+const { ConfigError } = require('./lib/config-loader');
+const { UsageError } = require('./lib/cli-args');
+
+module.exports = {
+  analyze,
+  addProps,
+  ConfigError,
+  UsageError
+};
@@ -0,0 +1,140 @@
+/**
+ * On-disk cache of per-file results for the analyzer and the props adder.
+ *
+ * Entries are keyed by the file's content hash; the whole cache is dropped
+ * when the config or the tool (package version and source) changes. An
+ * entry can list dependency files (barrels followed through re-exports)
+ * whose content must also be unchanged for it to be reused.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIRECTORY = path.join('node_modules', '.cache', 'rn-migration-toolkit');
+
+/**
+ * Hash a string (or anything JSON serializable)
+ */
+function hash(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Hash the toolkit itself: package version, the given scripts and the
+ * shared lib/ modules, so a local edit of the tool invalidates its results
+ */
+function getToolVersion(sourceFiles) {
+  const packageJson = require('../package.json');
+  const libFiles = fs.readdirSync(__dirname)
+    .filter(name => name.endsWith('.js'))
+    .sort()
+    .map(name => path.join(__dirname, name));
+  const sources = [...sourceFiles, ...libFiles]
+    .filter(file => fs.existsSync(file))
+    .map(file => fs.readFileSync(file, 'utf8'));
+  return hash([packageJson.version, ...sources]);
+}
+
+/**
+ * Create a cache.
+ *
+ * options.name       - cache file name ('analyzer', 'add-props')
+ * options.enabled    - when false every lookup misses and nothing is written
+ * options.rootDir    - directory a relative `directory` is resolved against (cwd)
+ * options.directory  - where to store it (node_modules/.cache/rn-migration-toolkit)
+ * options.config     - the tool config; results are only valid for the same config
+ * options.toolFiles  - the tool's script(s), see getToolVersion()
+ */
+function createAnalysisCache(options) {
+  const enabled = options.enabled !== false;
+  const cachePath = path.resolve(options.rootDir || process.cwd(), options.directory || DEFAULT_DIRECTORY, `${options.name}.json`);
+  const key = enabled ? hash([getToolVersion(options.toolFiles || []), options.config]) : null;
+  const contentHashes = new Map(); // filePath -> content hash, memoized per run
+  const stats = { hits: 0, misses: 0 };
+  let entries = {};
+  let dirty = false;
+  
+  if (enabled && fs.existsSync(cachePath)) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (stored.key === key) {
+        entries = stored.entries || {};
+      }
+    } catch (error) {
+      // A corrupt cache is simply rebuilt
+    }
+  }
+  
+  /**
+   * Hash the current content of a file (null if it no longer exists)
+   */
+  function hashFile(filePath) {
+    if (!contentHashes.has(filePath)) {
+      contentHashes.set(filePath, fs.existsSync(filePath) ? hash(fs.readFileSync(filePath, 'utf8')) : null);
+    }
+    return contentHashes.get(filePath);
+  }
+  
+  /**
+   * Get the cached result for a file's content, or null
+   */
+  function get(filePath, content) {
+    if (!enabled) return null;
+    
+    const entry = entries[path.resolve(filePath)];
+    const valid = entry && entry.hash === hash(content) &&
+      Object.entries(entry.dependencies || {}).every(([file, fileHash]) => hashFile(file) === fileHash);
+    
+    if (!valid) {
+      stats.misses++;
+      return null;
+    }
+    
+    stats.hits++;
+    return entry.result;
+  }
+  
+  /**
+   * Store the result for a file's content, with the files it depends on
+   */
+  function set(filePath, content, result, dependencies = []) {
+    if (!enabled) return;
+    
+    const absolutePath = path.resolve(filePath);
+    entries[absolutePath] = {
+      hash: hash(content),
+      dependencies: Object.fromEntries(dependencies
+        .filter(file => file !== absolutePath)
+        .map(file => [file, hashFile(file)])),
+      result
+    };
+    dirty = true;
+  }
+  
+  /**
+   * Write the cache to disk, dropping entries of deleted files
+   */
+  function save() {
+    if (!enabled || !dirty) return;
+    
+    Object.keys(entries).forEach(file => {
+      if (!fs.existsSync(file)) delete entries[file];
+    });
+    
+    try {
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      fs.writeFileSync(cachePath, JSON.stringify({ key, entries }));
+    } catch (error) {
+      // Caching is an optimization: a read-only checkout still works
+    }
+  }
+  
+  return { get, set, save, stats, path: cachePath };
+}
+
+module.exports = {
+  createAnalysisCache,
+  hash
+};
@@ -0,0 +1,59 @@
+/**
+ * Shared plumbing of the Node API of the analyzer and the props adder.
+ *
+ * Each command keeps its run settings in module state, so its runs are
+ * queued one after the other; an API call loads its config like the CLI
+ * does and is silent unless given a logger.
+ */
+
+const path = require('path');
+const { loadConfig } = require('./config-loader');
+const { getDefaultConcurrency } = require('./worker-pool');
+
+const silentLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Create a queue that runs each task once every earlier task has finished
+ * (rejected tasks do not stop the queue)
+ */
+function createRunQueue() {
+  let queue = Promise.resolve();
+  
+  return task => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+}
+
+/**
+ * Load the config of an API call and the run options shared by the
+ * commands: `cwd`, the in-memory files resolved against it, and the
+ * cache, concurrency and logger defaults.
+ *
+ * Returns { config, runOptions }; throws a ConfigError for an invalid config.
+ */
+function prepareRun(command, options) {
+  const cwd = options.cwd || process.cwd();
+  const config = loadConfig(command, { config: options.config, configPath: options.configPath, cwd });
+  const files = options.files
+    ? new Map(Object.entries(options.files).map(([file, content]) => [path.resolve(cwd, file), content]))
+    : null;
+  
+  return {
+    config,
+    runOptions: {
+      cwd,
+      files,
+      cache: options.cache !== false,
+      concurrency: options.concurrency || getDefaultConcurrency(),
+      logger: options.logger || silentLogger
+    }
+  };
+}
+
+module.exports = {
+  silentLogger,
+  createRunQueue,
+  prepareRun
+};
@@ -0,0 +1,113 @@
+/**
+ * Command line parsing shared by the rn-migrate commands.
+ *
+ * Options are declared as `{ name: { alias, type, value, description } }`
+ * where type is 'boolean', 'string' or 'integer'. Boolean options can be
+ * negated with `--no-<name>`. The options every command accepts live in
+ * COMMON_OPTIONS so flags stay consistent across commands.
+ */
+
+const chalk = require('chalk');
+const { getDefaultConcurrency } = require('./worker-pool');
+
+const COMMON_OPTIONS = {
+  src: { alias: 's', type: 'string', value: 'path', description: 'Source folder to process (overrides srcFolder)' },
+  config: { alias: 'c', type: 'string', value: 'path', description: 'Config file (searched upward from the working directory otherwise)' },
+  cache: { type: 'boolean', default: true, description: 'Parse every file instead of reusing cached results' },
+  concurrency: { alias: 'j', type: 'integer', value: 'n', default: getDefaultConcurrency(), description: 'Worker threads to use (1 = no workers)' },
+  help: { alias: 'h', type: 'boolean', description: 'Show this help' }
+};
+
+/**
+ * Thrown for unknown options, missing or invalid option values and
+ * arguments that are not options
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse arguments against an option spec.
+ *
+ * Returns an object with one key per option (defaults applied). The
+ * commands take no positional arguments, so `analyze src` is an error
+ * rather than silently analyzing the configured srcFolder.
+ */
+function parseArgs(argv, spec) {
+  const values = {};
+  const byAlias = new Map(Object.entries(spec)
+    .filter(([, option]) => option.alias)
+    .map(([name, option]) => [option.alias, name]));
+  
+  Object.entries(spec).forEach(([name, option]) => {
+    values[name] = option.default !== undefined ? option.default : (option.type === 'boolean' ? false : null);
+  });
+  
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (!arg.startsWith('-') || arg === '-') {
+      throw new UsageError(`Unexpected argument "${arg}"`);
+    }
+    
+    let [flag, inlineValue] = arg.split(/=(.*)/s);
+    let negated = false;
+    let name;
+    
+    if (flag.startsWith('--no-') && spec[flag.slice(5)] && spec[flag.slice(5)].type === 'boolean') {
+      name = flag.slice(5);
+      negated = true;
+    } else if (flag.startsWith('--')) {
+      name = flag.slice(2);
+    } else {
+      name = byAlias.get(flag.slice(1));
+    }
+    
+    const option = name && spec[name];
+    if (!option) {
+      throw new UsageError(`Unknown option ${flag}`);
+    }
+    
+    if (option.type === 'boolean') {
+      values[name] = !negated;
+      continue;
+    }
+    
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || (inlineValue === undefined && value.startsWith('-'))) {
+      throw new UsageError(`Option ${flag} needs a value`);
+    }
+    
+    if (option.type === 'integer') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new UsageError(`Option ${flag} must be a positive integer, got ${value}`);
+      }
+      values[name] = number;
+    } else {
+      values[name] = value;
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Print the options of a command, one per line (booleans that default
+ * to true are shown in their --no- form)
+ */
+function printOptions(spec) {
+  Object.entries(spec).forEach(([name, option]) => {
+    const flag = option.type === 'boolean' && option.default === true ? `--no-${name}` : `--${name}`;
+    const flags = [option.alias ? `-${option.alias}` : null, flag]
+      .filter(Boolean)
+      .join(', ');
+    const usage = option.value ? `${flags} <${option.value}>` : flags;
+    console.log(`  ${usage.padEnd(28)} ${chalk.gray(option.description)}`);
+  });
+}
+
+module.exports = {
+  COMMON_OPTIONS,
+  UsageError,
+  parseArgs,
+  printOptions
+};
@@ -0,0 +1,136 @@
+/**
+ * Helpers for finding the components a file declares.
+ *
+ * Used to detect wrapper components: project components that render a
+ * tracked component (e.g. `Input` rendering react-native's `TextInput`).
+ */
+
+/**
+ * Check whether a name looks like a component (PascalCase)
+ */
+function isComponentName(name) {
+  return typeof name === 'string' && /^[A-Z]/.test(name);
+}
+
+/**
+ * Get the component name declared by a path, if it declares one.
+ *
+ * Handles `function Input()`, `class Input`, `const Input = () => ...`
+ * (including `memo(...)`/`forwardRef(...)` wrappers) and anonymous
+ * `export default function () {}` which is named 'default'.
+ */
+function getDeclaredComponentName(nodePath) {
+  const { node } = nodePath;
+  
+  if ((nodePath.isFunctionDeclaration() || nodePath.isClassDeclaration()) && node.id) {
+    return isComponentName(node.id.name) ? node.id.name : null;
+  }
+  
+  if (nodePath.isVariableDeclarator() && node.id.type === 'Identifier') {
+    return isComponentName(node.id.name) ? node.id.name : null;
+  }
+  
+  if (nodePath.isExportDefaultDeclaration() && node.declaration.type !== 'Identifier') {
+    return 'default';
+  }
+  
+  return null;
+}
+
+/**
+ * Find the name of the component a JSX element is rendered by
+ */
+function getEnclosingComponentName(jsxPath) {
+  let current = jsxPath.parentPath;
+  
+  while (current) {
+    const name = getDeclaredComponentName(current);
+    if (name) return name;
+    current = current.parentPath;
+  }
+  
+  return null;
+}
+
+/**
+ * Get the name of the function a JSX element is rendered in.
+ *
+ * Returns `renderItem` for `const renderItem = () => <View />`,
+ * `LoginScreen.render` for class methods and null for anonymous callbacks
+ * that are not assigned anywhere (their enclosing function is used instead).
+ */
+function getEnclosingFunctionName(jsxPath) {
+  let current = jsxPath.getFunctionParent();
+  
+  while (current) {
+    const { node, parent } = current;
+    let name = null;
+    
+    if (node.id) {
+      name = node.id.name;
+    } else if ((current.isClassMethod() || current.isObjectMethod()) && node.key.type === 'Identifier') {
+      const classPath = current.findParent(p => p.isClass());
+      name = classPath && classPath.node.id ? `${classPath.node.id.name}.${node.key.name}` : node.key.name;
+    } else if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+      name = parent.id.name;
+    } else if ((parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') && parent.key.type === 'Identifier') {
+      name = parent.key.name;
+    } else if (parent.type === 'CallExpression') {
+      // `memo(() => ...)`/`forwardRef(...)`: named by the variable holding the call
+      const declarator = current.parentPath.findParent(p => !p.isCallExpression());
+      if (declarator && declarator.isVariableDeclarator() && declarator.node.id.type === 'Identifier') {
+        name = declarator.node.id.name;
+      }
+    }
+    
+    if (name) return name;
+    current = current.parentPath && current.parentPath.getFunctionParent();
+  }
+  
+  return null;
+}
+
+/**
+ * Map the export names of a file to the local names they refer to
+ */
+function collectExportedLocals(ast) {
+  const exported = new Map(); // exportName -> localName
+  
+  ast.program.body.forEach(node => {
+    if (node.type === 'ExportNamedDeclaration' && !node.source) {
+      const declaration = node.declaration;
+      
+      if (declaration && declaration.id) {
+        exported.set(declaration.id.name, declaration.id.name);
+      } else if (declaration && declaration.declarations) {
+        declaration.declarations
+          .filter(declarator => declarator.id.type === 'Identifier')
+          .forEach(declarator => exported.set(declarator.id.name, declarator.id.name));
+      }
+      
+      node.specifiers.forEach(spec => {
+        if (spec.local) {
+          exported.set(spec.exported.name || spec.exported.value, spec.local.name);
+        }
+      });
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      const declaration = node.declaration;
+      
+      if (declaration.type === 'Identifier') {
+        exported.set('default', declaration.name);
+      } else {
+        exported.set('default', declaration.id ? declaration.id.name : 'default');
+      }
+    }
+  });
+  
+  return exported;
+}
+
+module.exports = {
+  isComponentName,
+  getDeclaredComponentName,
+  getEnclosingComponentName,
+  getEnclosingFunctionName,
+  collectExportedLocals
+};
@@ -0,0 +1,147 @@
+/**
+ * Shared JSX component resolution for the analyzer and the props adder.
+ *
+ * Maps every JSX tag back to the name it was imported under and the module
+ * it came from, so aliases (`import { TextInput as RNTextInput }`),
+ * namespace/default member access (`<RN.TextInput>`) and default imports
+ * are all attributed to the same component.
+ */
+
+const traverse = require('@babel/traverse').default;
+
+/**
+ * Collect import bindings of a file: local name -> binding info
+ *
+ * kind is 'named', 'default' or 'namespace'. Type-only imports are skipped
+ * since they can never be rendered.
+ */
+function collectImportBindings(ast) {
+  const bindings = new Map();
+  
+  traverse(ast, {
+    ImportDeclaration(importPath) {
+      const { node } = importPath;
+      if (node.importKind === 'type' || node.importKind === 'typeof') return;
+      
+      const source = node.source.value;
+      
+      node.specifiers.forEach(spec => {
+        if (spec.type === 'ImportSpecifier') {
+          if (spec.importKind === 'type' || spec.importKind === 'typeof') return;
+          bindings.set(spec.local.name, {
+            local: spec.local.name,
+            imported: spec.imported.name || spec.imported.value,
+            source,
+            kind: 'named',
+            specifier: spec,
+            declaration: node
+          });
+        } else if (spec.type === 'ImportDefaultSpecifier') {
+          bindings.set(spec.local.name, {
+            local: spec.local.name,
+            imported: spec.local.name,
+            source,
+            kind: 'default',
+            specifier: spec,
+            declaration: node
+          });
+        } else if (spec.type === 'ImportNamespaceSpecifier') {
+          bindings.set(spec.local.name, {
+            local: spec.local.name,
+            imported: '*',
+            source,
+            kind: 'namespace',
+            specifier: spec,
+            declaration: node
+          });
+        }
+      });
+    }
+  });
+  
+  return bindings;
+}
+
+/**
+ * Get the source-level name of a JSX tag (`View`, `RN.TextInput`, `svg:path`)
+ */
+function getJSXElementName(nameNode) {
+  if (!nameNode) return null;
+  
+  switch (nameNode.type) {
+    case 'JSXIdentifier':
+      return nameNode.name;
+    case 'JSXMemberExpression':
+      return `${getJSXElementName(nameNode.object)}.${nameNode.property.name}`;
+    case 'JSXNamespacedName':
+      return `${nameNode.namespace.name}:${nameNode.name.name}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the root identifier node of a JSX tag (`RN` in `<RN.TextInput>`)
+ */
+function getJSXRootIdentifier(nameNode) {
+  let node = nameNode;
+  while (node && node.type === 'JSXMemberExpression') {
+    node = node.object;
+  }
+  return node && node.type === 'JSXIdentifier' ? node : null;
+}
+
+/**
+ * Resolve a JSX tag to the component it refers to.
+ *
+ * Returns { localName, importedName, source, kind, binding } where
+ * localName is the tag as written and importedName the name the component
+ * has in its module. `source` is null for components that are not imported
+ * (declared locally or globals). Intrinsic lowercase tags resolve to null.
+ */
+function resolveJSXElement(nameNode, bindings) {
+  const localName = getJSXElementName(nameNode);
+  const root = getJSXRootIdentifier(nameNode);
+  
+  if (!localName || !root) {
+    return null;
+  }
+  
+  // `<view>`/`<div>` are intrinsic elements, never components
+  if (nameNode.type === 'JSXIdentifier' && /^[a-z]/.test(localName)) {
+    return null;
+  }
+  
+  const binding = bindings.get(root.name);
+  
+  if (!binding) {
+    return { localName, importedName: localName, source: null, kind: null, binding: null };
+  }
+  
+  if (nameNode.type === 'JSXIdentifier') {
+    return { localName, importedName: binding.imported, source: binding.source, kind: binding.kind, binding };
+  }
+  
+  // Member access: `<RN.TextInput>` on a namespace/default import means
+  // the `TextInput` export, `<Stack.Screen>` on a named import stays as-is
+  const memberPath = localName.slice(root.name.length + 1);
+  
+  if (binding.kind === 'namespace' || binding.kind === 'default') {
+    return { localName, importedName: memberPath, source: binding.source, kind: binding.kind, binding };
+  }
+  
+  return {
+    localName,
+    importedName: `${binding.imported}.${memberPath}`,
+    source: binding.source,
+    kind: binding.kind,
+    binding
+  };
+}
+
+module.exports = {
+  collectImportBindings,
+  getJSXElementName,
+  getJSXRootIdentifier,
+  resolveJSXElement
+};
@@ -0,0 +1,225 @@
+/**
+ * Config loading shared by the rn-migrate commands.
+ *
+ * Searches upward from the working directory for `rn-migrate.config.json`,
+ * `rn-migrate.config.js`, `.rn-migraterc(.json)` or an "rn-migrate" key in
+ * package.json. A shared config holds common settings at the top level and
+ * one section per command:
+ *
+ *   { "srcFolder": "./src", "analyze": { ... }, "addProps": { ... } }
+ *
+ * The older per-tool files (analyzer-config.json, config.json) are still
+ * read from the working directory; they are the command section on their own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readJSONWithComments } = require('./module-resolver');
+const { validateAgainstSchema, formatProblem } = require('./config-schema');
+
+const CONFIG_FILES = ['rn-migrate.config.json', 'rn-migrate.config.js', '.rn-migraterc', '.rn-migraterc.json'];
+const PACKAGE_JSON_KEY = 'rn-migrate';
+
+const COMMANDS = {
+  analyze: {
+    section: 'analyze',
+    description: 'analyzer',
+    legacyFile: 'analyzer-config.json',
+    defaults: {
+      packagesToTrack: [],
+      priorityThresholds: { high: 10, medium: 5 },
+      componentFilters: { include: [], exclude: [] },
+      detectWrappers: true,
+      reportOptions: {}
+    }
+  },
+  'add-props': {
+    section: 'addProps',
+    description: 'props adder',
+    legacyFile: 'config.json',
+    // Rules are only built from the keys that are present
+    defaults: {}
+  }
+};
+
+const SHARED_DEFAULTS = {
+  srcFolder: './src',
+  fileExtensions: ['ts', 'tsx', 'js', 'jsx']
+};
+
+// Settings every command reads from the top level of a shared config
+const SHARED_KEYS = ['srcFolder', 'fileExtensions', 'cache'];
+
+/**
+ * Thrown when no config is found or it is invalid; `problems` lists
+ * every issue so they can be fixed in one go
+ */
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    super(problems.length > 0 ? `${message}\n${problems.map(problem => `  - ${problem}`).join('\n')}` : message);
+    this.problems = problems;
+  }
+}
+
+/**
+ * Read a config file: JSON (comments allowed), JS module or package.json key
+ */
+function readConfigFile(filePath) {
+  try {
+    if (filePath.endsWith('.js')) {
+      return require(path.resolve(filePath));
+    }
+    if (path.basename(filePath) === 'package.json') {
+      return readJSONWithComments(filePath)[PACKAGE_JSON_KEY];
+    }
+    return readJSONWithComments(filePath);
+  } catch (error) {
+    throw new ConfigError(`Could not read config ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the config for a command, starting at `cwd` and walking up
+ */
+function findConfigFile(command, cwd) {
+  const { legacyFile } = COMMANDS[command];
+  let dir = path.resolve(cwd);
+  
+  while (true) {
+    const candidates = CONFIG_FILES.map(name => path.join(dir, name));
+    // Per-tool files are too generically named to be looked for upward
+    if (dir === path.resolve(cwd)) {
+      candidates.push(path.join(dir, legacyFile));
+    }
+    
+    const found = candidates.find(candidate => fs.existsSync(candidate));
+    if (found) return found;
+    
+    const packageJson = path.join(dir, 'package.json');
+    if (fs.existsSync(packageJson) && readConfigFile(packageJson) !== undefined) {
+      return packageJson;
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Check whether a config is a shared one (with command sections) rather
+ * than a per-tool file
+ */
+function isSharedConfig(raw) {
+  return Object.values(COMMANDS).some(({ section }) => raw[section] !== undefined);
+}
+
+/**
+ * Check a config object against the schema, returning formatted problems;
+ * a per-tool config is checked as the config of `command`
+ */
+function checkConfig(raw, command) {
+  const problems = isSharedConfig(raw)
+    ? validateAgainstSchema(raw)
+    : validateAgainstSchema(raw, COMMANDS[command].section);
+  return problems.map(formatProblem);
+}
+
+/**
+ * Read a config file and check it against the schema.
+ *
+ * Returns { raw, shared, problems } where problems are formatted strings.
+ */
+function checkConfigFile(configPath, command) {
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError(`Config file does not exist: ${configPath}`);
+  }
+  
+  const raw = readConfigFile(configPath);
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ConfigError(`Config ${configPath} must contain an object`);
+  }
+  
+  return { raw, shared: isSharedConfig(raw), problems: checkConfig(raw, command) };
+}
+
+/**
+ * Apply defaults; object settings get the defaults of keys they leave out
+ */
+function applyDefaults(config, defaults) {
+  const result = { ...defaults, ...config };
+  Object.entries(defaults).forEach(([key, value]) => {
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (isObject && result[key] !== value) {
+      result[key] = { ...value, ...result[key] };
+    }
+  });
+  return result;
+}
+
+/**
+ * Load the config of a command.
+ *
+ * options.config     - config object to use instead of a file (as in a
+ *                      config file; relative paths are relative to `cwd`)
+ * options.configPath - explicit config file (--config)
+ * options.cwd        - where the upward search starts
+ *
+ * Returns the command's settings with defaults applied, `srcFolder`
+ * resolved against the config file's directory, and `rootDir`/`configPath`
+ * set. Throws a ConfigError when nothing is found or the config does not
+ * match the schema.
+ */
+function loadConfig(command, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const { section, defaults } = COMMANDS[command];
+  let configPath = null;
+  let raw = options.config;
+  
+  if (raw) {
+    const problems = checkConfig(raw, command);
+    if (problems.length > 0) {
+      throw new ConfigError('Invalid config:', problems);
+    }
+  } else {
+    configPath = options.configPath ? path.resolve(cwd, options.configPath) : findConfigFile(command, cwd);
+    if (!configPath) {
+      throw new ConfigError(
+        `No config found for "${command}". Looked for ${CONFIG_FILES.join(', ')} or an "${PACKAGE_JSON_KEY}" key in package.json ` +
+        `from ${cwd} upward, and ${COMMANDS[command].legacyFile} in ${cwd}.`
+      );
+    }
+    
+    const check = checkConfigFile(configPath, command);
+    if (check.problems.length > 0) {
+      throw new ConfigError(`Invalid config ${configPath}:`, check.problems);
+    }
+    raw = check.raw;
+  }
+  
+  // A per-tool config is the command section itself
+  const shared = isSharedConfig(raw);
+  const sectionConfig = shared ? raw[section] || {} : raw;
+  const sharedConfig = shared
+    ? Object.fromEntries(SHARED_KEYS.filter(key => raw[key] !== undefined).map(key => [key, raw[key]]))
+    : {};
+  
+  const rootDir = configPath ? path.dirname(configPath) : path.resolve(cwd);
+  const { $schema, ...settings } = { ...sharedConfig, ...sectionConfig };
+  const config = applyDefaults(settings, { ...SHARED_DEFAULTS, ...defaults });
+  
+  return {
+    ...config,
+    srcFolder: path.resolve(rootDir, config.srcFolder),
+    rootDir,
+    configPath
+  };
+}
+
+module.exports = {
+  COMMANDS,
+  ConfigError,
+  loadConfig,
+  findConfigFile,
+  checkConfigFile
+};
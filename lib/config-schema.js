@@ -0,0 +1,197 @@
+/**
+ * Validation of config files against schema/rn-migrate.schema.json.
+ *
+ * Turns JSON Schema errors into one problem per mistake, each with the
+ * path of the setting (`addProps.props[0]`) and a suggestion taken from
+ * the schema's descriptions or the closest known setting name.
+ */
+
+const path = require('path');
+const Ajv = require('ajv');
+const schema = require('../schema/rn-migrate.schema.json');
+
+// Schema files for editors (`"$schema"`): shared config and per-tool files
+const SCHEMA_DIR = path.join(__dirname, '..', 'schema');
+const SCHEMA_FILES = {
+  shared: path.join(SCHEMA_DIR, 'rn-migrate.schema.json'),
+  analyze: path.join(SCHEMA_DIR, 'analyzer-config.schema.json'),
+  addProps: path.join(SCHEMA_DIR, 'add-props-config.schema.json')
+};
+
+const ajv = new Ajv({ allErrors: true, verbose: true, allowUnionTypes: true });
+ajv.addSchema(schema);
+
+// Compiled lazily: only the sections a command reads are validated
+const validators = new Map();
+
+const TYPE_NAMES = {
+  array: 'an array',
+  object: 'an object',
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  null: 'null'
+};
+
+/**
+ * Get the validator of a schema definition ('analyze', 'addProps'), or of
+ * the whole shared config when no definition is given
+ */
+function getValidator(definition) {
+  const ref = definition ? `${schema.$id}#/definitions/${definition}` : schema.$id;
+  if (!validators.has(ref)) {
+    validators.set(ref, ajv.getSchema(ref));
+  }
+  return validators.get(ref);
+}
+
+/**
+ * Edit distance between two strings, for "did you mean" suggestions
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = a[i - 1] === b[j - 1] ? diagonal : 1 + Math.min(diagonal, row[j - 1], row[j]);
+      diagonal = above;
+    }
+  }
+  
+  return row[b.length];
+}
+
+/**
+ * Find the known name closest to a misspelled one, or null
+ */
+function findClosestName(name, knownNames) {
+  const lowerName = name.toLowerCase();
+  const candidates = knownNames
+    .filter(known => known !== '$schema')
+    .map(known => ({ known, distance: editDistance(lowerName, known.toLowerCase()) }))
+    .filter(({ known, distance }) => distance <= Math.max(2, Math.floor(known.length / 4)))
+    .sort((a, b) => a.distance - b.distance);
+  
+  return candidates.length > 0 ? candidates[0].known : null;
+}
+
+/**
+ * Turn a JSON pointer (`/props/0/value`) into a setting path (`props[0].value`)
+ */
+function formatPath(prefix, instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((result, part) => (/^\d+$/.test(part)
+      ? `${result}[${part}]`
+      : (result ? `${result}.${part}` : part)), prefix);
+}
+
+/**
+ * Describe one schema error as `{ path, message, suggestion }`
+ */
+function describeError(error, prefix) {
+  const settingPath = formatPath(prefix, error.instancePath);
+  const join = name => (settingPath ? `${settingPath}.${name}` : name);
+  const parentSchema = error.parentSchema || {};
+  
+  switch (error.keyword) {
+    case 'additionalProperties': {
+      const name = error.params.additionalProperty;
+      const knownNames = Object.keys(parentSchema.properties || {});
+      const closest = findClosestName(name, knownNames);
+      return {
+        path: join(name),
+        message: 'unknown setting',
+        suggestion: closest
+          ? `Did you mean "${closest}"?`
+          : `Known settings here: ${knownNames.filter(known => known !== '$schema').join(', ')}`
+      };
+    }
+    case 'required': {
+      const name = error.params.missingProperty;
+      const propertySchema = (parentSchema.properties || {})[name] || {};
+      return {
+        path: join(name),
+        message: 'is required',
+        suggestion: propertySchema.description || parentSchema.description || null
+      };
+    }
+    case 'type': {
+      const types = [].concat(error.params.type).map(type => TYPE_NAMES[type] || type);
+      return {
+        path: settingPath,
+        message: `must be ${types.join(' or ')}, got ${JSON.stringify(error.data)}`,
+        suggestion: parentSchema.description || null
+      };
+    }
+    case 'enum':
+      return {
+        path: settingPath,
+        message: `must be one of ${error.params.allowedValues.join(', ')}, got ${JSON.stringify(error.data)}`,
+        suggestion: null
+      };
+    default:
+      return {
+        path: settingPath,
+        message: error.message,
+        suggestion: parentSchema.description || null
+      };
+  }
+}
+
+/**
+ * Validate a config against a schema definition.
+ *
+ * `prefix` is prepended to every path (e.g. 'analyze' for that section of
+ * a shared config). Returns a list of `{ path, message, suggestion }`.
+ */
+function validateAgainstSchema(config, definition, prefix = '') {
+  const validate = getValidator(definition);
+  if (validate(config)) {
+    return [];
+  }
+  
+  return validate.errors
+    // if/then/else failures repeat the error of the branch that failed
+    .filter(error => error.keyword !== 'if')
+    .map(error => describeError(error, prefix));
+}
+
+/**
+ * Names of the settings a schema definition knows
+ */
+function getKnownSettings(definition) {
+  return Object.keys(schema.definitions[definition].properties).filter(name => name !== '$schema');
+}
+
+/**
+ * Names of the deprecated settings of a schema definition (still accepted,
+ * but ignored)
+ */
+function getDeprecatedSettings(definition) {
+  return Object.entries(schema.definitions[definition].properties)
+    .filter(([, property]) => property.deprecated)
+    .map(([name]) => name);
+}
+
+/**
+ * Format a problem as one line: `path: message (suggestion)`
+ */
+function formatProblem(problem) {
+  const location = problem.path ? `${problem.path}: ` : '';
+  return `${location}${problem.message}${problem.suggestion ? ` (${problem.suggestion})` : ''}`;
+}
+
+module.exports = {
+  SCHEMA_FILES,
+  validateAgainstSchema,
+  getKnownSettings,
+  getDeprecatedSettings,
+  formatProblem
+};
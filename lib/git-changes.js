@@ -0,0 +1,106 @@
+/**
+ * Git helpers for `component-analyzer.js --since <ref>`.
+ *
+ * Uses the local git binary to list the files changed relative to a ref
+ * and to read their content at that ref, so only the diff is analyzed.
+ */
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Run a git command and return its stdout
+ */
+function runGit(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+    maxBuffer: 64 * 1024 * 1024
+  });
+}
+
+/**
+ * Get the root of the repository containing `cwd`
+ */
+function getRepoRoot(cwd = process.cwd()) {
+  try {
+    return runGit(['rev-parse', '--show-toplevel'], cwd).trim();
+  } catch (error) {
+    throw new Error(`Not a git repository (or git is not installed): ${cwd}`);
+  }
+}
+
+/**
+ * Resolve the commit changes are measured from: the merge base of the ref
+ * and HEAD, so `--since origin/main` on a branch ignores newer main commits
+ */
+function resolveBaseCommit(ref, repoRoot) {
+  try {
+    runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repoRoot);
+  } catch (error) {
+    throw new Error(`Unknown git ref: ${ref}`);
+  }
+  
+  try {
+    return runGit(['merge-base', ref, 'HEAD'], repoRoot).trim();
+  } catch (error) {
+    return runGit(['rev-parse', `${ref}^{commit}`], repoRoot).trim();
+  }
+}
+
+/**
+ * List files changed between a commit and the working tree (committed,
+ * staged, unstaged and untracked changes).
+ *
+ * Returns [{ file, status, previousFile }] with absolute paths; status is
+ * 'added', 'modified', 'deleted' or 'renamed' (previousFile set for renames).
+ */
+function getChangedFiles(baseCommit, repoRoot) {
+  const changes = [];
+  const statuses = { A: 'added', M: 'modified', D: 'deleted', R: 'renamed', C: 'added', T: 'modified' };
+  
+  // -z output: status \0 path [\0 new path for renames/copies] \0 ...
+  const fields = runGit(['diff', '--name-status', '-z', '-M', baseCommit, '--'], repoRoot).split('\0');
+  for (let i = 0; i < fields.length - 1;) {
+    const code = fields[i][0];
+    if (code === 'R' || code === 'C') {
+      changes.push({
+        file: path.join(repoRoot, fields[i + 2]),
+        status: statuses[code],
+        previousFile: code === 'R' ? path.join(repoRoot, fields[i + 1]) : null
+      });
+      i += 3;
+    } else {
+      changes.push({ file: path.join(repoRoot, fields[i + 1]), status: statuses[code] || 'modified', previousFile: null });
+      i += 2;
+    }
+  }
+  
+  runGit(['ls-files', '--others', '--exclude-standard', '-z'], repoRoot)
+    .split('\0')
+    .filter(Boolean)
+    .forEach(file => changes.push({ file: path.join(repoRoot, file), status: 'added', previousFile: null }));
+  
+  return changes;
+}
+
+/**
+ * Read a file as it was at a commit, or null if it did not exist there
+ */
+function readFileAtCommit(commit, file, repoRoot) {
+  const relativePath = path.relative(repoRoot, file).split(path.sep).join('/');
+  
+  try {
+    return runGit(['show', `${commit}:${relativePath}`], repoRoot);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  getRepoRoot,
+  resolveBaseCommit,
+  getChangedFiles,
+  readFileAtCommit
+};
@@ -0,0 +1,89 @@
+/**
+ * Minimal JS/TS/JSX syntax highlighting for the HTML report's source
+ * snippets.
+ *
+ * The code is split into tokens (comments, strings, JSX tags, attribute
+ * names, keywords, numbers) which are wrapped in `<span class="tok-…">`.
+ * It is a lexer, not a parser: good enough to make a few lines of JSX
+ * readable without shipping a highlighting library in the report.
+ */
+
+const KEYWORDS = new Set([
+  'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'default', 'else', 'export', 'extends', 'false', 'for', 'from', 'function', 'if',
+  'import', 'in', 'interface', 'let', 'new', 'null', 'of', 'return', 'switch',
+  'this', 'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'while'
+]);
+
+// One alternative per token type, tried in this order at each position
+const TOKEN_PATTERN = new RegExp([
+  /(\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$))/.source, // comment
+  /('(?:[^'\\\n]|\\.)*'?|"(?:[^"\\\n]|\\.)*"?|`(?:[^`\\]|\\[\s\S])*`?)/.source, // string
+  /(<\/?[A-Za-z][\w.]*|\/>)/.source, // JSX tag (a bare `>` is left plain, it may be `=>`)
+  /([A-Za-z_$][\w$-]*(?==["'{]))/.source, // JSX attribute
+  /([A-Za-z_$][\w$]*)/.source, // identifier or keyword
+  /(\d[\d_]*(?:\.\d+)?)/.source // number
+].join('|'), 'g');
+
+/**
+ * Split code into `{ type, text }` tokens; `type` is null for plain text
+ */
+function tokenize(code) {
+  const tokens = [];
+  let position = 0;
+  
+  for (const match of code.matchAll(TOKEN_PATTERN)) {
+    if (match.index > position) {
+      tokens.push({ type: null, text: code.slice(position, match.index) });
+    }
+    
+    const [text, comment, string, tag, attribute, word] = match;
+    let type = 'number';
+    if (comment) {
+      type = 'comment';
+    } else if (string) {
+      type = 'string';
+    } else if (tag) {
+      type = 'tag';
+    } else if (attribute) {
+      type = 'attr';
+    } else if (word) {
+      type = KEYWORDS.has(word) ? 'keyword' : null;
+    }
+    
+    tokens.push({ type, text });
+    position = match.index + text.length;
+  }
+  
+  if (position < code.length) {
+    tokens.push({ type: null, text: code.slice(position) });
+  }
+  return tokens;
+}
+
+/**
+ * Highlight code as HTML, one string per line (tokens spanning lines, like
+ * block comments, are closed and reopened on every line)
+ */
+function highlightLines(code, escapeHTML) {
+  const lines = [''];
+  
+  tokenize(code).forEach(token => {
+    token.text.split('\n').forEach((part, index) => {
+      if (index > 0) {
+        lines.push('');
+      }
+      if (part !== '') {
+        const html = escapeHTML(part);
+        lines[lines.length - 1] += token.type ? `<span class="tok-${token.type}">${html}</span>` : html;
+      }
+    });
+  });
+  
+  return lines;
+}
+
+module.exports = {
+  tokenize,
+  highlightLines
+};
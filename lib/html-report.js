@@ -0,0 +1,1186 @@
+/**
+ * HTML report of the component analyzer.
+ *
+ * Renders the JSON report data (see buildJSONReport() in
+ * component-analyzer.js) as a page of sections: changes since a git ref,
+ * progress since a baseline, the burndown chart, the components, file
+ * impact and package analysis. reportOptions turn sections off
+ * (includeFileImpact, includePackageAnalysis, includeMigrationTips,
+ * includePropUsage, includeSnippets) and brand the page: `title`, a `template` with
+ * {{placeholders}}, an extra `stylesheet` and `customSections` modules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config-loader');
+const { squarify } = require('./treemap');
+const { highlightLines } = require('./highlight');
+
+const DEFAULT_TITLE = 'React Native Component Migration Report';
+
+const PRIORITY_COLORS = {
+  high: '#dc3545',
+  medium: '#ffc107',
+  low: '#28a745'
+};
+
+// Sort order of the priority filter and the "Priority" sort
+const PRIORITY_RANKS = {
+  high: 3,
+  medium: 2,
+  low: 1
+};
+
+// Treemap colour per top-level folder
+const TREEMAP_COLORS = ['#007bff', '#28a745', '#fd7e14', '#6f42c1', '#20c997', '#e83e8c', '#17a2b8', '#6c757d'];
+
+// Tabs of the built-in sections, in page order
+const TABS = {
+  progress: '📈 Progress',
+  plan: '📋 Plan',
+  components: '📊 Components',
+  files: '📁 Files',
+  packages: '📦 Packages'
+};
+
+const DEFAULT_STYLES = `        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; background: #f8f9fa; }
+        .container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+        .header { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); margin-bottom: 20px; }
+        .header h1 { color: #007bff; margin-bottom: 10px; }
+        .summary-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin-bottom: 30px; }
+        .summary-card { background: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 5px rgba(0,0,0,0.1); text-align: center; }
+        .summary-card h3 { color: #6c757d; font-size: 14px; margin-bottom: 10px; }
+        .summary-card .number { font-size: 32px; font-weight: bold; color: #007bff; }
+        .section { background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); margin-bottom: 20px; }
+        .section h2 { color: #495057; margin-bottom: 20px; border-bottom: 2px solid #e9ecef; padding-bottom: 10px; }
+        .component-item { background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 15px; border-left: 4px solid #007bff; }
+        .component-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; }
+        .component-name { font-size: 18px; font-weight: bold; color: #495057; }
+        .usage-count { background: #007bff; color: white; padding: 5px 12px; border-radius: 20px; font-size: 14px; }
+        .score-badge { background: #e9ecef; color: #495057; padding: 5px 12px; border-radius: 20px; font-size: 14px; }
+        .priority-badge { padding: 5px 12px; border-radius: 20px; color: white; font-size: 12px; font-weight: bold; }
+        .file-list { margin-top: 15px; }
+        .file-item { display: flex; justify-content: space-between; align-items: center; padding: 8px 0; border-bottom: 1px solid #e9ecef; }
+        .file-item:last-child { border-bottom: none; }
+        .file-path { font-family: monospace; color: #6c757d; }
+        .file-path a { color: #007bff; text-decoration: none; }
+        .file-path a:hover { text-decoration: underline; }
+        .file-usage { background: #e9ecef; color: #495057; padding: 3px 8px; border-radius: 12px; font-size: 12px; }
+        .package-info { margin-top: 10px; font-size: 14px; color: #6c757d; }
+        .usage-locations { display: flex; flex-wrap: wrap; gap: 6px; padding: 6px 0 8px; }
+        .usage-location { background: white; border: 1px solid #e9ecef; border-radius: 12px; padding: 2px 8px; font-family: monospace; font-size: 12px; }
+        .usage-location a { color: #007bff; text-decoration: none; }
+        .usage-scope { color: #6c757d; }
+        .usage-snippet > summary { list-style: none; cursor: pointer; }
+        .usage-snippet > summary::-webkit-details-marker { display: none; }
+        .usage-snippet > summary .usage-location::after { content: ' ▸'; color: #6c757d; }
+        .usage-snippet[open] { flex-basis: 100%; }
+        .usage-snippet[open] > summary .usage-location::after { content: ' ▾'; }
+        .snippet { margin-top: 6px; background: #1e1e2e; color: #cdd6f4; border-radius: 6px; padding: 8px 0; overflow-x: auto; font-size: 12px; line-height: 1.5; }
+        .snippet-line { display: block; padding-right: 12px; }
+        .snippet-line.marked { background: rgba(249, 226, 175, 0.12); box-shadow: inset 3px 0 0 #f9e2af; }
+        .line-number { display: inline-block; width: 3.5em; padding-right: 1em; text-align: right; color: #6c7086; user-select: none; }
+        .tok-comment { color: #7f849c; font-style: italic; }
+        .tok-string { color: #a6e3a1; }
+        .tok-tag { color: #89b4fa; }
+        .tok-attr { color: #f9e2af; }
+        .tok-keyword { color: #cba6f7; }
+        .tok-number { color: #fab387; }
+        .usage-breakdown { margin-top: 6px; font-size: 13px; color: #495057; }
+        .package-tag { background: #e9ecef; color: #495057; padding: 3px 8px; border-radius: 12px; font-size: 12px; margin-right: 5px; }
+        .prop-usage { margin-top: 20px; }
+        .prop-usage h4 { color: #495057; margin-bottom: 10px; }
+        .prop-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        .prop-table th, .prop-table td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+        .prop-table tr.deprecated { background: #f8d7da; }
+        .deprecated-badge { background: #dc3545; color: white; padding: 2px 6px; border-radius: 10px; font-size: 10px; font-weight: bold; margin-left: 5px; }
+        .prop-hint { font-size: 12px; color: #721c24; margin-top: 3px; }
+        .value-tag { display: inline-block; background: #e9ecef; color: #495057; padding: 2px 6px; border-radius: 10px; font-size: 12px; font-family: monospace; margin: 0 4px 4px 0; }
+        .value-tag.dynamic { background: #d1ecf1; color: #0c5460; }
+        .spread-note { font-size: 13px; color: #6c757d; margin-bottom: 8px; }
+        .delta-up { color: #dc3545; font-weight: bold; }
+        .delta-down { color: #28a745; font-weight: bold; }
+        .comparison-table { width: 100%; border-collapse: collapse; font-size: 14px; margin-bottom: 20px; }
+        .comparison-table th, .comparison-table td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e9ecef; }
+        .comparison-table tr.regression { background: #f8d7da; }
+        .comparison-lists { display: grid; grid-template-columns: repeat(auto-fit, minmax(250px, 1fr)); gap: 20px; }
+        .comparison-lists h4 { color: #495057; margin-bottom: 8px; }
+        .comparison-lists ul { margin-left: 20px; font-size: 14px; }
+        .burndown-chart { width: 100%; height: auto; }
+        .burndown-chart .line { fill: none; stroke: #007bff; stroke-width: 2; }
+        .burndown-chart .point { fill: #007bff; }
+        .burndown-chart .axis { stroke: #dee2e6; }
+        .burndown-chart text { font-size: 11px; fill: #6c757d; }
+        .migration-tips { background: #fff3cd; border: 1px solid #ffeaa7; border-radius: 8px; padding: 20px; margin-top: 20px; }
+        .migration-tips h4 { color: #856404; margin-bottom: 10px; }
+        .migration-tips ul { margin-left: 20px; }
+        .migration-tips li { margin-bottom: 5px; color: #856404; }
+        .high-priority { border-left-color: #dc3545; }
+        .medium-priority { border-left-color: #ffc107; }
+        .low-priority { border-left-color: #28a745; }
+        .tabs { display: flex; flex-wrap: wrap; border-bottom: 1px solid #dee2e6; margin-bottom: 20px; }
+        .tab { padding: 10px 20px; cursor: pointer; border: none; background: none; color: #6c757d; font-size: 15px; }
+        .tab.active { color: #007bff; border-bottom: 2px solid #007bff; }
+        .js .tab-content { display: none; }
+        .js .tab-content.active { display: block; }
+        .filters { display: none; flex-wrap: wrap; gap: 10px; align-items: center; background: white; padding: 15px 20px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); margin-bottom: 20px; }
+        .js .filters { display: flex; }
+        .filters input, .filters select { padding: 8px 10px; border: 1px solid #dee2e6; border-radius: 5px; font-size: 14px; background: white; }
+        .filters input { flex: 1; min-width: 200px; }
+        .filters button { padding: 8px 14px; border: 1px solid #dee2e6; border-radius: 5px; background: #f8f9fa; cursor: pointer; }
+        .filter-count { font-size: 13px; color: #6c757d; margin-bottom: 10px; }
+        .list-toolbar { display: flex; justify-content: space-between; align-items: center; gap: 10px; margin-bottom: 10px; }
+        .list-toolbar select { padding: 6px 8px; border: 1px solid #dee2e6; border-radius: 5px; }
+        .filtered-out { display: none !important; }
+        details.component-item > summary { list-style: none; cursor: pointer; }
+        details.component-item > summary::-webkit-details-marker { display: none; }
+        details.component-item > summary .component-name::before { content: '▸ '; color: #6c757d; }
+        details.component-item[open] > summary .component-name::before { content: '▾ '; }
+        details.component-item:not([open]) > summary { margin-bottom: 0; }
+        .data-table { width: 100%; border-collapse: collapse; font-size: 14px; }
+        .data-table th, .data-table td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e9ecef; vertical-align: top; }
+        .data-table td.number { text-align: right; }
+        table.sortable th:not([data-sort="none"]) { cursor: pointer; user-select: none; }
+        table.sortable th:not([data-sort="none"])::after { content: ' ↕'; color: #adb5bd; }
+        table.sortable th[aria-sort="ascending"]::after { content: ' ▲'; color: #007bff; }
+        table.sortable th[aria-sort="descending"]::after { content: ' ▼'; color: #007bff; }
+        .treemap { width: 100%; height: auto; font-size: 11px; }
+        .treemap rect { stroke: white; stroke-width: 1; }
+        .treemap .folder { cursor: pointer; fill-opacity: 0.75; }
+        .treemap .folder:hover { fill-opacity: 1; }
+        .treemap .group { fill: none; stroke: #495057; stroke-width: 2; }
+        .treemap text { fill: white; pointer-events: none; }
+        .treemap .group-label { fill: #495057; font-weight: bold; }
+        @media (max-width: 768px) { .summary-grid { grid-template-columns: 1fr; } .component-header { flex-direction: column; align-items: flex-start; gap: 10px; } }`;
+
+// Tabs, filters, sorting and treemap drill-down; plain DOM code so the
+// report works offline. Without scripts every tab is shown.
+const DEFAULT_SCRIPTS = `        (function () {
+            document.body.classList.add('js');
+            
+            var tabs = Array.prototype.slice.call(document.querySelectorAll('.tab'));
+            var panels = Array.prototype.slice.call(document.querySelectorAll('.tab-content'));
+            
+            function showTab(id) {
+                if (!panels.some(function (panel) { return panel.id === 'tab-' + id; })) {
+                    id = tabs.length > 0 ? tabs[0].getAttribute('data-tab') : null;
+                }
+                tabs.forEach(function (tab) {
+                    var active = tab.getAttribute('data-tab') === id;
+                    tab.classList.toggle('active', active);
+                    tab.setAttribute('aria-selected', String(active));
+                });
+                panels.forEach(function (panel) {
+                    panel.classList.toggle('active', panel.id === 'tab-' + id);
+                });
+            }
+            
+            tabs.forEach(function (tab) {
+                tab.addEventListener('click', function () {
+                    showTab(tab.getAttribute('data-tab'));
+                    history.replaceState(null, '', '#' + tab.getAttribute('data-tab'));
+                });
+            });
+            showTab(location.hash.slice(1));
+            
+            // Filters: every [data-filter] element carries its search text,
+            // packages, priorities and directories as JSON
+            var controls = {
+                text: document.getElementById('filter-text'),
+                package: document.getElementById('filter-package'),
+                priority: document.getElementById('filter-priority'),
+                directory: document.getElementById('filter-directory')
+            };
+            var filterables = Array.prototype.slice.call(document.querySelectorAll('[data-filter]')).map(function (element) {
+                return { element: element, data: JSON.parse(element.getAttribute('data-filter')) };
+            });
+            
+            function inDirectory(dirs, directory) {
+                return !directory || dirs.some(function (dir) {
+                    return dir === directory || dir.indexOf(directory + '/') === 0;
+                });
+            }
+            
+            function applyFilters() {
+                if (!controls.text) return;
+                var text = controls.text.value.trim().toLowerCase();
+                filterables.forEach(function (entry) {
+                    var data = entry.data;
+                    var visible = (!text || data.search.indexOf(text) !== -1) &&
+                        (!controls.package.value || data.packages.indexOf(controls.package.value) !== -1) &&
+                        (!controls.priority.value || data.priorities.indexOf(controls.priority.value) !== -1) &&
+                        inDirectory(data.dirs, controls.directory.value);
+                    entry.element.classList.toggle('filtered-out', !visible);
+                });
+                document.querySelectorAll('[data-count]').forEach(function (counter) {
+                    var items = document.querySelectorAll(counter.getAttribute('data-count'));
+                    var shown = Array.prototype.filter.call(items, function (item) {
+                        return !item.classList.contains('filtered-out');
+                    }).length;
+                    counter.textContent = 'Showing ' + shown + ' of ' + items.length + ' ' + counter.getAttribute('data-noun');
+                });
+            }
+            
+            Object.keys(controls).forEach(function (name) {
+                if (controls[name]) {
+                    controls[name].addEventListener(name === 'text' ? 'input' : 'change', applyFilters);
+                }
+            });
+            var reset = document.getElementById('filter-reset');
+            if (reset) {
+                reset.addEventListener('click', function () {
+                    Object.keys(controls).forEach(function (name) { controls[name].value = ''; });
+                    applyFilters();
+                });
+            }
+            applyFilters();
+            
+            // Sortable tables: click a header to sort by its column, again to reverse
+            function cellValue(row, index) {
+                var cell = row.cells[index];
+                return cell ? (cell.getAttribute('data-value') || cell.textContent.trim()) : '';
+            }
+            
+            function compareValues(a, b) {
+                var numberA = parseFloat(a);
+                var numberB = parseFloat(b);
+                if (!isNaN(numberA) && !isNaN(numberB) && String(numberA) === a && String(numberB) === b) {
+                    return numberA - numberB;
+                }
+                return a.localeCompare(b);
+            }
+            
+            document.querySelectorAll('table.sortable').forEach(function (table) {
+                var headers = Array.prototype.slice.call(table.querySelectorAll('thead th'));
+                headers.forEach(function (header, index) {
+                    if (header.getAttribute('data-sort') === 'none') return;
+                    header.addEventListener('click', function () {
+                        var direction = header.getAttribute('aria-sort') === 'descending' ? 'ascending' : 'descending';
+                        headers.forEach(function (other) { other.removeAttribute('aria-sort'); });
+                        header.setAttribute('aria-sort', direction);
+                        var body = table.tBodies[0];
+                        Array.prototype.slice.call(body.rows)
+                            .sort(function (a, b) {
+                                var order = compareValues(cellValue(a, index), cellValue(b, index));
+                                return direction === 'ascending' ? order : -order;
+                            })
+                            .forEach(function (row) { body.appendChild(row); });
+                    });
+                });
+            });
+            
+            // Component cards: sort by the chosen data attribute
+            var sortComponents = document.getElementById('sort-components');
+            if (sortComponents) {
+                sortComponents.addEventListener('change', function () {
+                    var key = sortComponents.value;
+                    var list = document.querySelector('.component-list');
+                    Array.prototype.slice.call(list.children)
+                        .sort(function (a, b) {
+                            var order = compareValues(a.getAttribute('data-' + key), b.getAttribute('data-' + key));
+                            return key === 'name' ? order : -order;
+                        })
+                        .forEach(function (card) { list.appendChild(card); });
+                });
+            }
+            
+            // Treemap: a folder filters the components to that directory
+            document.querySelectorAll('.treemap [data-dir]').forEach(function (folder) {
+                folder.addEventListener('click', function () {
+                    if (!controls.directory) return;
+                    controls.directory.value = folder.getAttribute('data-dir');
+                    applyFilters();
+                    showTab('components');
+                    history.replaceState(null, '', '#components');
+                });
+            });
+        })();`;
+
+// Page layout; a custom reportOptions.template uses the same placeholders
+const DEFAULT_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{title}}</title>
+    <style>
+{{styles}}
+    </style>
+</head>
+<body>
+    <div class="container">
+        {{header}}
+        
+        {{summary}}
+        
+        {{sections}}
+    </div>
+    
+    <script>
+{{scripts}}
+    </script>
+</body>
+</html>
+`;
+
+/**
+ * Escape text for HTML content and attributes (names, paths and prop
+ * values all come from source)
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format a usage delta with its sign: +3, -5, 0
+ */
+function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Describe direct and via-wrapper usage ("4 direct, 37 via Input")
+ */
+function describeUsageBreakdown(component) {
+  return [`${component.totalUsages} direct`]
+    .concat(component.wrappers.map(wrapper => `${wrapper.usages} via ${wrapper.name}`))
+    .join(', ');
+}
+
+/**
+ * Describe where a usage is rendered: `LoginScreen › renderFooter`
+ */
+function describeUsageScope(usage) {
+  if (!usage.function || usage.function === usage.component) {
+    return usage.component || usage.function || '';
+  }
+  // Class methods already carry the class name (`LoginScreen.render`)
+  if (!usage.component || usage.function.startsWith(`${usage.component}.`)) {
+    return usage.function;
+  }
+  return `${usage.component} › ${usage.function}`;
+}
+
+/**
+ * Directory of a report path with forward slashes ("." for top-level files)
+ */
+function getDirectory(filePath) {
+  return path.posix.dirname(filePath.split(path.sep).join('/'));
+}
+
+/**
+ * Longest directory shared by every directory ("" when there is none)
+ */
+function getCommonDirectory(dirs) {
+  const split = dirs.map(dir => (dir === '.' ? [] : dir.split('/')));
+  const common = [];
+  while (split.every(segments => common.length < segments.length && segments[common.length] === split[0][common.length])) {
+    common.push(split[0][common.length]);
+  }
+  return common.join('/');
+}
+
+/**
+ * Render the data-filter attribute matched by the filter bar's search,
+ * package, priority and directory filters
+ */
+function renderFilterData({ search, packages, priorities, dirs }) {
+  const data = {
+    search: search.join(' ').toLowerCase(),
+    packages: [...new Set(packages)],
+    priorities: [...new Set(priorities)],
+    dirs: [...new Set(dirs)]
+  };
+  return `data-filter="${escapeHTML(JSON.stringify(data))}"`;
+}
+
+/**
+ * Render the data-filter attribute of a component
+ */
+function renderComponentFilterData(component) {
+  return renderFilterData({
+    search: [component.name, ...component.packages],
+    packages: component.packages,
+    priorities: [component.migrationPriority],
+    dirs: component.usages.map(usage => getDirectory(usage.file))
+  });
+}
+
+/**
+ * Render a file path, linked when source links are configured
+ */
+function renderFilePath(filePath, sourceUrl) {
+  if (!sourceUrl) {
+    return `<span class="file-path">${escapeHTML(filePath)}</span>`;
+  }
+  
+  return `<span class="file-path">
+                                            <a href="${escapeHTML(sourceUrl)}" target="_blank" style="color: #007bff; text-decoration: none;">
+                                                ${escapeHTML(filePath)} 🔗
+                                            </a>
+                                        </span>`;
+}
+
+/**
+ * Render the page header
+ */
+function renderHeader(report, title) {
+  return `<div class="header">
+            <h1>🔍 ${escapeHTML(title)}</h1>
+            <p>Generated on ${new Date(report.summary.generatedAt).toLocaleString()}</p>
+            <p>Source folder: ${escapeHTML(report.summary.sourceFolder)}</p>
+        </div>`;
+}
+
+/**
+ * Render the summary cards
+ */
+function renderSummary(report) {
+  const { summary } = report;
+  
+  return `<div class="summary-grid">
+            <div class="summary-card">
+                <h3>Files Analyzed</h3>
+                <div class="number">${summary.totalFiles}</div>
+            </div>
+            <div class="summary-card">
+                <h3>Components Found</h3>
+                <div class="number">${summary.totalComponents}</div>
+            </div>
+            <div class="summary-card">
+                <h3>Total Usages</h3>
+                <div class="number">${summary.totalUsages}</div>
+            </div>
+            <div class="summary-card">
+                <h3>Packages Tracked</h3>
+                <div class="number">${summary.packages.length}</div>
+            </div>
+            <div class="summary-card">
+                <h3>Deprecated Prop Usages</h3>
+                <div class="number">${summary.deprecatedPropUsages}</div>
+            </div>
+        </div>`;
+}
+
+/**
+ * Render the filter bar: search, package, priority and directory (every
+ * folder above a file with tracked usages)
+ */
+function renderFilters(report) {
+  const directories = new Set();
+  report.files.filter(file => file.totalUsages > 0).forEach(file => {
+    const segments = getDirectory(file.path).split('/').filter(segment => segment !== '.');
+    segments.forEach((segment, index) => directories.add(segments.slice(0, index + 1).join('/')));
+  });
+  const priorities = [...new Set(report.components.map(comp => comp.migrationPriority))]
+    .sort((a, b) => (PRIORITY_RANKS[b] || 0) - (PRIORITY_RANKS[a] || 0) || a.localeCompare(b));
+  const options = values => values.map(value => `<option value="${escapeHTML(value)}">${escapeHTML(value)}</option>`).join('');
+  
+  return `<div class="filters">
+            <input type="search" id="filter-text" placeholder="Search components and files..." aria-label="Search components and files">
+            <select id="filter-package" aria-label="Package"><option value="">All packages</option>${options(report.summary.packages)}</select>
+            <select id="filter-priority" aria-label="Priority"><option value="">All priorities</option>${options(priorities)}</select>
+            <select id="filter-directory" aria-label="Directory"><option value="">All directories</option>${options([...directories].sort())}</select>
+            <button type="button" id="filter-reset">Reset</button>
+        </div>`;
+}
+
+/**
+ * Render the usages introduced/removed since a git ref (--since)
+ */
+function renderGitChanges(report) {
+  const changes = report.changes;
+  if (!changes) {
+    return '';
+  }
+  
+  const describeCounts = counts => Object.entries(counts)
+    .map(([name, count]) => `${escapeHTML(name)} × ${count}`)
+    .join(', ') || '-';
+  const sum = counts => Object.values(counts).reduce((total, count) => total + count, 0);
+  
+  return `
+        <div class="section">
+            <h2>🔀 Changes Since ${escapeHTML(changes.since)}</h2>
+            <p>
+                ${changes.changedFiles} changed source file${changes.changedFiles === 1 ? '' : 's'} since
+                <code>${escapeHTML(changes.baseCommit.slice(0, 8))}</code>:
+                <span class="delta-up">+${changes.totals.introduced}</span> introduced,
+                <span class="delta-down">-${changes.totals.removed}</span> removed usages.
+                Only changed files are analyzed, so totals elsewhere in this report cover those files only.
+            </p>
+            
+            ${changes.files.length > 0 ? `
+            <table class="comparison-table sortable">
+                <thead><tr><th>File</th><th>Introduced</th><th>Removed</th></tr></thead>
+                <tbody>
+                    ${changes.files.map(file => `
+                        <tr class="${Object.keys(file.introduced).length > 0 ? 'regression' : ''}">
+                            <td data-value="${escapeHTML(file.path)}"><code>${escapeHTML(file.path)}</code> (${file.status})</td>
+                            <td class="delta-up" data-value="${sum(file.introduced)}">${describeCounts(file.introduced)}</td>
+                            <td class="delta-down" data-value="${sum(file.removed)}">${describeCounts(file.removed)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>` : '<p>No tracked component usages were introduced or removed.</p>'}
+        </div>
+  `;
+}
+
+/**
+ * Render the "progress since baseline" section (--baseline)
+ */
+function renderComparison(report) {
+  const comparison = report.comparison;
+  if (!comparison) {
+    return '';
+  }
+  
+  const { totals, components, files, regressions } = comparison;
+  const deltaClass = delta => (delta > 0 ? 'delta-up' : delta < 0 ? 'delta-down' : '');
+  const rows = [
+    ...components.added.map(comp => ({ name: comp.name, before: 0, after: comp.usages, delta: comp.usages })),
+    ...components.changed,
+    ...components.removed.map(comp => ({ name: comp.name, before: comp.usages, after: 0, delta: -comp.usages }))
+  ];
+  const regressed = new Set(regressions.map(comp => comp.name));
+  const list = (items, empty) => (items.length > 0
+    ? `<ul>${items.map(item => `<li>${escapeHTML(item.name)} (${item.usages})</li>`).join('')}</ul>`
+    : `<p>${empty}</p>`);
+  
+  return `
+        <div class="section">
+            <h2>📉 Progress Since Baseline</h2>
+            <p>
+                Compared with the report from ${new Date(comparison.baselineGeneratedAt).toLocaleString()}:
+                ${totals.before} → ${totals.after} usages
+                (<span class="${deltaClass(totals.delta)}">${formatDelta(totals.delta)}</span>),
+                ${regressions.length} regression${regressions.length === 1 ? '' : 's'}
+            </p>
+            
+            ${rows.length > 0 ? `
+            <table class="comparison-table sortable">
+                <thead><tr><th>Component</th><th>Before</th><th>After</th><th>Change</th></tr></thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr class="${regressed.has(row.name) ? 'regression' : ''}">
+                            <td data-value="${escapeHTML(row.name)}">${escapeHTML(row.name)}${regressed.has(row.name) ? ' <span class="deprecated-badge">REGRESSION</span>' : ''}</td>
+                            <td>${row.before}</td>
+                            <td>${row.after}</td>
+                            <td class="${deltaClass(row.delta)}" data-value="${row.delta}">${formatDelta(row.delta)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>` : '<p>No component usage changed.</p>'}
+            
+            <div class="comparison-lists">
+                <div>
+                    <h4>✅ Fully migrated components</h4>
+                    ${list(components.removed, 'None')}
+                </div>
+                <div>
+                    <h4>🆕 Files now using tracked components</h4>
+                    ${list(files.added, 'None')}
+                </div>
+                <div>
+                    <h4>🧹 Files no longer using tracked components</h4>
+                    ${list(files.removed, 'None')}
+                </div>
+            </div>
+        </div>
+  `;
+}
+
+/**
+ * Render the burndown chart (inline SVG, no external scripts) of a report history
+ */
+function renderBurndown(report) {
+  const history = report.history;
+  if (!history || history.length === 0) {
+    return '';
+  }
+  
+  const width = 800;
+  const height = 260;
+  const padding = { top: 20, right: 20, bottom: 40, left: 50 };
+  const maxUsages = Math.max(1, ...history.map(point => point.totalUsages));
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+  
+  const points = history.map((point, index) => ({
+    ...point,
+    x: padding.left + (history.length === 1 ? plotWidth / 2 : (index / (history.length - 1)) * plotWidth),
+    y: padding.top + plotHeight - (point.totalUsages / maxUsages) * plotHeight
+  }));
+  const formatDate = point => new Date(point.generatedAt).toLocaleDateString();
+  
+  return `
+        <div class="section">
+            <h2>📈 Migration Burndown</h2>
+            <p>Total usages of tracked components across ${history.length} report${history.length === 1 ? '' : 's'}</p>
+            <svg class="burndown-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Migration burndown chart">
+                <line class="axis" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}" />
+                <line class="axis" x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${padding.top + plotHeight}" />
+                <text x="${padding.left - 8}" y="${padding.top + 4}" text-anchor="end">${maxUsages}</text>
+                <text x="${padding.left - 8}" y="${padding.top + plotHeight + 4}" text-anchor="end">0</text>
+                <polyline class="line" points="${points.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ')}" />
+                ${points.map(point => `
+                    <circle class="point" cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="4">
+                        <title>${formatDate(point)}: ${point.totalUsages} usages in ${point.affectedFiles} files</title>
+                    </circle>
+                `).join('')}
+                <text x="${padding.left}" y="${height - 10}">${formatDate(points[0])}</text>
+                <text x="${width - padding.right}" y="${height - 10}" text-anchor="end">${formatDate(points[points.length - 1])}</text>
+            </svg>
+        </div>
+  `;
+}
+
+/**
+ * Render a usage's source snippet with line numbers, the usage's own lines
+ * marked
+ */
+function renderSnippet(snippet) {
+  const { startLine, element } = snippet;
+  const lines = highlightLines(snippet.lines.join('\n'), escapeHTML);
+  
+  return `<pre class="snippet"><code>${lines.map((html, index) => {
+    const lineNumber = startLine + index;
+    const marked = lineNumber >= element.start && lineNumber <= element.end;
+    return `<span class="snippet-line${marked ? ' marked' : ''}"><span class="line-number">${lineNumber}</span>${html}</span>`;
+  }).join('')}</code></pre>`;
+}
+
+/**
+ * Render the line links of a component's usages in one file; usages with
+ * a source snippet expand to show it
+ */
+function renderUsageLocations(component, filePath, reportOptions) {
+  const usages = component.usages.filter(usage => usage.file === filePath);
+  const showSnippets = reportOptions.includeSnippets !== false;
+  
+  return `
+                                    <div class="usage-locations">
+                                        ${usages.map(usage => {
+                                            const label = `L${usage.line}:${usage.column}`;
+                                            const scope = describeUsageScope(usage);
+                                            const location = `<span class="usage-location">${usage.url ?
+                                                `<a href="${escapeHTML(usage.url)}" target="_blank">${label}</a>` : label}${scope ?
+                                                ` <span class="usage-scope">${escapeHTML(scope)}</span>` : ''}</span>`;
+                                            return showSnippets && usage.snippet
+                                              ? `<details class="usage-snippet"><summary>${location}</summary>${renderSnippet(usage.snippet)}</details>`
+                                              : location;
+                                        }).join('')}
+                                    </div>
+  `;
+}
+
+/**
+ * Render the prop usage table of a component
+ */
+function renderPropUsage(component) {
+  if (component.props.length === 0 && component.spreadUsages === 0) {
+    return '';
+  }
+  
+  // Most common values first (integer-like keys lose their order in JSON)
+  const topValues = prop => Object.entries(prop.values)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  
+  return `
+                    <div class="prop-usage">
+                        <h4>🧩 Prop Usage</h4>
+                        ${component.spreadUsages > 0 ?
+                            `<p class="spread-note">${component.spreadUsages} of ${component.totalUsages} usage${component.totalUsages > 1 ? 's' : ''} spread props ({...props}) - their full prop set is unknown</p>` : ''}
+                        <table class="prop-table">
+                            <thead><tr><th>Prop</th><th>Usages</th><th>Values</th></tr></thead>
+                            <tbody>
+                                ${component.props.map(prop => `
+                                    <tr class="${prop.deprecated ? 'deprecated' : ''}">
+                                        <td>
+                                            <code>${escapeHTML(prop.name)}</code>
+                                            ${prop.deprecated ? '<span class="deprecated-badge">DEPRECATED</span>' : ''}
+                                            ${prop.hint ? `<div class="prop-hint">${escapeHTML(prop.hint)}</div>` : ''}
+                                        </td>
+                                        <td>${prop.count}</td>
+                                        <td>
+                                            ${topValues(prop).map(([value, count]) =>
+                                                `<span class="value-tag">${escapeHTML(value)} × ${count}</span>`).join('')}
+                                            ${prop.dynamicValues > 0 ?
+                                                `<span class="value-tag dynamic">dynamic × ${prop.dynamicValues}</span>` : ''}
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+  `;
+}
+
+/**
+ * Render the migration tips of a component: its configured tips first,
+ * then the ones derived from the analysis
+ */
+function renderMigrationTips(component, planItem, unit) {
+  const fileCount = Object.keys(component.files).length;
+  const wrapperUsages = component.transitiveUsages - component.totalUsages;
+  
+  return `
+                    <div class="migration-tips">
+                        <h4>💡 Migration Tips</h4>
+                        <ul>
+                            ${(planItem ? planItem.tips : []).map(tip => `<li>${escapeHTML(tip)}</li>`).join('')}
+                            ${component.migrationPriority === 'high' ?
+                                '<li>High priority - prioritize custom component development</li>' : ''}
+                            ${component.migrationPriority === 'medium' ?
+                                '<li>Medium priority - plan for next development cycle</li>' : ''}
+                            ${component.migrationPriority === 'low' ?
+                                '<li>Low priority - can be migrated later</li>' : ''}
+                            ${planItem ?
+                                `<li>Estimated effort: ~${planItem.effort} ${escapeHTML(unit)} (#${planItem.rank} in the migration plan, score ${planItem.score})</li>` : ''}
+                            <li>Found in ${fileCount} file${fileCount > 1 ? 's' : ''}</li>
+                            <li>Imported from: ${component.packages.map(escapeHTML).join(', ')}</li>
+                            ${component.deprecatedPropUsages > 0 ?
+                                `<li>${component.deprecatedPropUsages} deprecated prop usage${component.deprecatedPropUsages > 1 ? 's' : ''} - clean these up before migrating</li>` : ''}
+                            ${component.wrappers.length > 0 ?
+                                `<li>Wrapped by ${component.wrappers.map(wrapper => escapeHTML(wrapper.name)).join(', ')} - migrating the wrappers covers ${wrapperUsages} usage${wrapperUsages === 1 ? '' : 's'}</li>` : ''}
+                        </ul>
+                    </div>
+  `;
+}
+
+/**
+ * Render the ranked migration plan with effort estimates and tips
+ */
+function renderMigrationPlan(report) {
+  const plan = report.plan;
+  if (!plan || plan.components.length === 0) {
+    return '';
+  }
+  
+  const componentsByName = new Map(report.components.map(comp => [comp.name, comp]));
+  const unit = escapeHTML(plan.unit);
+  
+  return `
+        <div class="section">
+            <h2>📋 Migration Plan</h2>
+            <p>
+                Components ranked by migration score (see <code>scoring</code> in the analyzer config).
+                Estimated effort for all ${plan.components.length} components: <strong>${plan.totalEffort} ${unit}</strong>
+            </p>
+            <p class="filter-count" data-count=".plan-row" data-noun="components">${plan.components.length} components</p>
+            
+            <table class="data-table sortable">
+                <thead><tr><th>#</th><th>Component</th><th>Priority</th><th>Score</th><th>Usages</th><th>Files</th><th>Props</th><th>Deprecated</th><th>Effort (${unit})</th><th data-sort="none">Tips</th></tr></thead>
+                <tbody>
+                    ${plan.components.map(item => {
+                      const component = componentsByName.get(item.name);
+                      
+                      return `
+                        <tr class="plan-row" ${component ? renderComponentFilterData(component) : ''}>
+                            <td class="number">${item.rank}</td>
+                            <td data-value="${escapeHTML(item.name)}"><strong>${escapeHTML(item.name)}</strong></td>
+                            <td data-value="${PRIORITY_RANKS[item.priority] || 0}">
+                                <span class="priority-badge" style="background-color: ${PRIORITY_COLORS[item.priority] || '#6c757d'}">${escapeHTML(item.priority.toUpperCase())}</span>
+                            </td>
+                            <td class="number">${item.score}</td>
+                            <td class="number">${item.factors.usages}</td>
+                            <td class="number">${item.factors.files}</td>
+                            <td class="number">${item.factors.props}</td>
+                            <td class="number">${item.factors.deprecatedProps}</td>
+                            <td class="number">${item.effort}</td>
+                            <td>${item.tips.map(escapeHTML).join('<br>')}</td>
+                        </tr>
+                    `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+  `;
+}
+
+/**
+ * Render the component analysis: a collapsible card per component that
+ * drills down to its files and usages, props and migration tips
+ */
+function renderComponents(report, context) {
+  const { reportOptions, sourceUrl } = context;
+  const sortedComponents = [...report.components]
+    .sort((a, b) => b.transitiveUsages - a.transitiveUsages);
+  const plan = report.plan || { unit: '', components: [] };
+  const planItems = new Map(plan.components.map(item => [item.name, item]));
+  
+  return `
+        <div class="section">
+            <h2>📊 Component Analysis</h2>
+            <div class="list-toolbar">
+                <p class="filter-count" data-count=".component-item" data-noun="components">${sortedComponents.length} components</p>
+                <label>Sort by
+                    <select id="sort-components">
+                        <option value="usages">Usages</option>
+                        <option value="score">Score</option>
+                        <option value="files">Files</option>
+                        <option value="deprecated">Deprecated props</option>
+                        <option value="priority-rank">Priority</option>
+                        <option value="name">Name</option>
+                    </select>
+                </label>
+            </div>
+            
+            <div class="component-list">
+            ${sortedComponents.map(component => `
+                <details class="component-item ${escapeHTML(component.migrationPriority)}-priority"
+                    data-name="${escapeHTML(component.name)}"
+                    data-usages="${component.transitiveUsages}"
+                    data-score="${component.score || 0}"
+                    data-files="${Object.keys(component.files).length}"
+                    data-deprecated="${component.deprecatedPropUsages}"
+                    data-priority-rank="${PRIORITY_RANKS[component.migrationPriority] || 0}"
+                    ${renderComponentFilterData(component)}>
+                    <summary class="component-header">
+                        <div>
+                            <div class="component-name">${escapeHTML(component.name)}</div>
+                            <div class="package-info">
+                                ${component.packages.map(pkg => `<span class="package-tag">${escapeHTML(pkg)}</span>`).join('')}
+                            </div>
+                            ${component.wrappers.length > 0 ? `
+                            <div class="usage-breakdown">${escapeHTML(describeUsageBreakdown(component))}</div>` : ''}
+                        </div>
+                        <div style="display: flex; gap: 10px; align-items: center;">
+                            <span class="usage-count">${component.transitiveUsages} usages</span>
+                            ${component.score !== undefined ? `<span class="score-badge" title="Migration score">score ${component.score}</span>` : ''}
+                            <span class="priority-badge" style="background-color: ${PRIORITY_COLORS[component.migrationPriority] || '#6c757d'}">
+                                ${escapeHTML(component.migrationPriority.toUpperCase())} PRIORITY
+                            </span>
+                        </div>
+                    </summary>
+                    
+                    <div class="file-list">
+                        ${Object.entries(component.files).map(([filePath, count]) => `
+                                    <div class="file-item">
+                                        ${renderFilePath(filePath, sourceUrl(filePath))}
+                                        <span class="file-usage">${count} usage${count > 1 ? 's' : ''}</span>
+                                    </div>
+                                    ${renderUsageLocations(component, filePath, reportOptions)}
+                                `).join('')}
+                    </div>
+                    
+                    ${reportOptions.includePropUsage !== false ? renderPropUsage(component) : ''}
+                    
+                    ${reportOptions.includeMigrationTips !== false ? renderMigrationTips(component, planItems.get(component.name), plan.unit) : ''}
+                </details>
+            `).join('')}
+            </div>
+        </div>
+  `;
+}
+
+/**
+ * Render a sortable table of the files, most component usages first
+ */
+function renderFileImpact(report, context) {
+  const componentsByName = new Map(report.components.map(comp => [comp.name, comp]));
+  const sortedFiles = [...report.files]
+    .sort((a, b) => b.totalUsages - a.totalUsages);
+  
+  return `
+        <div class="section">
+            <h2>📁 File Impact Analysis</h2>
+            <p>Files ordered by total component usage (most impacted first)</p>
+            <p class="filter-count" data-count=".file-row" data-noun="files">${sortedFiles.length} files</p>
+            
+            <table class="data-table sortable">
+                <thead><tr><th>File</th><th>Usages</th><th>Components</th><th data-sort="none">Breakdown</th></tr></thead>
+                <tbody>
+                    ${sortedFiles.map(file => {
+                      const components = Object.keys(file.componentUsage)
+                        .map(name => componentsByName.get(name))
+                        .filter(Boolean);
+                      
+                      return `
+                        <tr class="file-row" ${renderFilterData({
+                          search: [file.path, ...Object.keys(file.componentUsage)],
+                          packages: components.flatMap(comp => comp.packages),
+                          priorities: components.map(comp => comp.migrationPriority),
+                          dirs: [getDirectory(file.path)]
+                        })}>
+                            <td data-value="${escapeHTML(file.path)}">${renderFilePath(file.path, context.sourceUrl(file.path))}</td>
+                            <td class="number">${file.totalUsages}</td>
+                            <td class="number">${Object.keys(file.componentUsage).length}</td>
+                            <td>${Object.entries(file.componentUsage)
+                              .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+                              .map(([name, count]) => `<span class="value-tag">${escapeHTML(name)} × ${count}</span>`)
+                              .join('')}</td>
+                        </tr>
+                    `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+  `;
+}
+
+/**
+ * Render the usage-by-folder treemap: one box per folder with tracked
+ * usages, sized by usage count and grouped by top-level folder
+ */
+function renderTreemap(report) {
+  const folders = new Map(); // directory -> { dir, value, files }
+  report.files.filter(file => file.totalUsages > 0).forEach(file => {
+    const dir = getDirectory(file.path);
+    if (!folders.has(dir)) {
+      folders.set(dir, { dir, value: 0, files: 0 });
+    }
+    folders.get(dir).value += file.totalUsages;
+    folders.get(dir).files++;
+  });
+  
+  if (folders.size === 0) {
+    return `
+        <div class="section">
+            <h2>🗂️ Usage by Folder</h2>
+            <p>No tracked component usages found.</p>
+        </div>
+  `;
+  }
+  
+  // Group by the first folder below the directory all usages share
+  const common = getCommonDirectory([...folders.keys()]);
+  const groups = new Map(); // group directory -> { dir, value, folders }
+  folders.forEach(folder => {
+    const relative = common ? folder.dir.slice(common.length).replace(/^\//, '') : folder.dir;
+    const top = relative.split('/')[0];
+    const groupDir = [common, top].filter(segment => segment && segment !== '.').join('/') || '.';
+    if (!groups.has(groupDir)) {
+      groups.set(groupDir, { dir: groupDir, value: 0, folders: [] });
+    }
+    groups.get(groupDir).value += folder.value;
+    groups.get(groupDir).folders.push(folder);
+  });
+  
+  const byValue = (a, b) => b.value - a.value || a.dir.localeCompare(b.dir);
+  const width = 800;
+  const height = 400;
+  const groupCells = squarify([...groups.values()].sort(byValue), { x: 0, y: 0, width, height });
+  
+  const label = (cell, text, className, offset) => {
+    const maxChars = Math.floor((cell.width - 6) / 6.5);
+    if (cell.height < 14 || maxChars < 3) return '';
+    const shown = text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+    return `<text class="${className}" x="${(cell.x + 4).toFixed(1)}" y="${(cell.y + offset).toFixed(1)}">${escapeHTML(shown)}</text>`;
+  };
+  
+  const boxes = groupCells.map((groupCell, index) => {
+    const group = groupCell.item;
+    const color = TREEMAP_COLORS[index % TREEMAP_COLORS.length];
+    const header = groupCell.height > 40 && groupCell.width > 60 ? 18 : 0;
+    const folderCells = squarify(group.folders.sort(byValue), {
+      x: groupCell.x + 2,
+      y: groupCell.y + header + 2,
+      width: Math.max(0, groupCell.width - 4),
+      height: Math.max(0, groupCell.height - header - 4)
+    });
+    
+    return `
+                <g>
+                    ${folderCells.map(cell => `
+                    <rect class="folder" data-dir="${escapeHTML(cell.item.dir)}" x="${cell.x.toFixed(1)}" y="${cell.y.toFixed(1)}" width="${cell.width.toFixed(1)}" height="${cell.height.toFixed(1)}" fill="${color}">
+                        <title>${escapeHTML(cell.item.dir)}: ${cell.item.value} usage${cell.item.value === 1 ? '' : 's'} in ${cell.item.files} file${cell.item.files === 1 ? '' : 's'}</title>
+                    </rect>
+                    ${label(cell, `${cell.item.dir === group.dir ? path.posix.basename(cell.item.dir) : cell.item.dir.slice(group.dir.length + 1)} (${cell.item.value})`, 'folder-label', 14)}`).join('')}
+                    <rect class="group" data-dir="${escapeHTML(group.dir)}" x="${groupCell.x.toFixed(1)}" y="${groupCell.y.toFixed(1)}" width="${groupCell.width.toFixed(1)}" height="${groupCell.height.toFixed(1)}">
+                        <title>${escapeHTML(group.dir)}: ${group.value} usage${group.value === 1 ? '' : 's'}</title>
+                    </rect>
+                    ${header ? label(groupCell, `${group.dir} (${group.value})`, 'group-label', 13) : ''}
+                </g>`;
+  });
+  
+  return `
+        <div class="section">
+            <h2>🗂️ Usage by Folder</h2>
+            <p>Box size is the number of tracked component usages in a folder. Click a folder to filter the components to it.</p>
+            <svg class="treemap" viewBox="0 0 ${width} ${height}" role="img" aria-label="Tracked component usages by folder">
+                ${boxes.join('')}
+            </svg>
+        </div>
+  `;
+}
+
+/**
+ * Render the tracked components imported from each package
+ */
+function renderPackages(report) {
+  return `
+        <div class="section">
+            <h2>📦 Package Analysis</h2>
+            ${Object.entries(report.imports).map(([packageName, components]) => `
+                <div style="margin-bottom: 20px;">
+                    <h3 style="color: #495057; margin-bottom: 10px;">${escapeHTML(packageName)}</h3>
+                    <div style="display: flex; flex-wrap: wrap; gap: 5px;">
+                        ${components.map(comp => `<span class="package-tag">${escapeHTML(comp)}</span>`).join('')}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+  `;
+}
+
+// Built-in sections in page order and the tab (see TABS) they are shown
+// in; `option` is the reportOptions flag that hides a section when false.
+// Custom sections refer to them by `id`.
+const SECTIONS = [
+  { id: 'changes', tab: 'progress', render: renderGitChanges },
+  { id: 'comparison', tab: 'progress', render: renderComparison },
+  { id: 'burndown', tab: 'progress', render: renderBurndown },
+  { id: 'plan', tab: 'plan', option: 'includeMigrationPlan', render: renderMigrationPlan },
+  { id: 'components', tab: 'components', render: renderComponents },
+  { id: 'treemap', tab: 'files', option: 'includeTreemap', render: renderTreemap },
+  { id: 'files', tab: 'files', option: 'includeFileImpact', render: renderFileImpact },
+  { id: 'packages', tab: 'packages', option: 'includePackageAnalysis', render: renderPackages }
+];
+
+/**
+ * Read a file named by reportOptions, relative to the config file
+ */
+function readReportFile(rootDir, filePath, description) {
+  const resolvedPath = path.resolve(rootDir, filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new ConfigError(`Report ${description} does not exist: ${resolvedPath}`);
+  }
+  return fs.readFileSync(resolvedPath, 'utf8');
+}
+
+/**
+ * Load a reportOptions.customSections module: `{ title, render(report, helpers), after }`.
+ * The section joins the tab of the section it follows, or gets its own.
+ */
+function loadCustomSection(rootDir, modulePath, index) {
+  const resolvedPath = path.resolve(rootDir, modulePath);
+  let section;
+  try {
+    section = require(resolvedPath);
+  } catch (error) {
+    throw new ConfigError(`Could not load report section ${resolvedPath}: ${error.message}`);
+  }
+  
+  if (!section || typeof section.render !== 'function' || typeof section.title !== 'string') {
+    throw new ConfigError(`Report section ${resolvedPath} must export { title, render(report, helpers) }`);
+  }
+  if (section.after && !SECTIONS.some(builtIn => builtIn.id === section.after)) {
+    throw new ConfigError(`Report section ${resolvedPath}: unknown "after" section "${section.after}". Available: ${SECTIONS.map(builtIn => builtIn.id).join(', ')}`);
+  }
+  
+  const id = `custom-${index + 1}`;
+  return {
+    id,
+    after: section.after || null,
+    tab: section.after ? SECTIONS.find(builtIn => builtIn.id === section.after).tab : id,
+    tabLabel: section.title,
+    render: (report, context) => `
+        <div class="section">
+            <h2>${escapeHTML(section.title)}</h2>
+            ${section.render(report, { escapeHTML, reportOptions: context.reportOptions })}
+        </div>
+  `
+  };
+}
+
+/**
+ * The sections to render: built-ins not turned off, with custom sections
+ * after the section they name (or at the end)
+ */
+function getSections(reportOptions, rootDir) {
+  const sections = SECTIONS.filter(section => !section.option || reportOptions[section.option] !== false);
+  
+  (reportOptions.customSections || []).forEach((modulePath, position) => {
+    const custom = loadCustomSection(rootDir, modulePath, position);
+    const anchor = custom.after ? sections.findIndex(section => section.id === custom.after) : -1;
+    if (anchor === -1) {
+      sections.push(custom);
+      return;
+    }
+    
+    // After the named section and the custom sections already placed there
+    let index = anchor + 1;
+    while (index < sections.length && sections[index].after === custom.after) {
+      index++;
+    }
+    sections.splice(index, 0, custom);
+  });
+  
+  return sections;
+}
+
+/**
+ * Render the sections as tabs, in the order their first section appears;
+ * tabs whose sections are all empty are left out
+ */
+function renderTabs(sections, report, context) {
+  const tabs = new Map(); // tab id -> { label, panels }
+  sections.forEach(section => {
+    const html = section.render(report, context);
+    if (!html) return;
+    if (!tabs.has(section.tab)) {
+      tabs.set(section.tab, { label: TABS[section.tab] || section.tabLabel, panels: [] });
+    }
+    tabs.get(section.tab).panels.push(html);
+  });
+  
+  const ids = [...tabs.keys()];
+  return `<div class="tabs" role="tablist">
+            ${ids.map((id, index) => `<button type="button" class="tab${index === 0 ? ' active' : ''}" role="tab" data-tab="${escapeHTML(id)}" aria-controls="tab-${escapeHTML(id)}">${escapeHTML(tabs.get(id).label)}</button>`).join('\n            ')}
+        </div>
+        
+        ${ids.map((id, index) => `<div class="tab-content${index === 0 ? ' active' : ''}" id="tab-${escapeHTML(id)}" role="tabpanel">
+        ${tabs.get(id).panels.join('\n        \n        ')}
+        </div>`).join('\n        \n        ')}`;
+}
+
+/**
+ * Render the report as an HTML page. `context.config` supplies the
+ * reportOptions and rootDir; `context.sourceUrl(file)` links files.
+ */
+function renderHTMLReport(report, context = {}) {
+  const config = context.config || {};
+  const reportOptions = config.reportOptions || {};
+  const rootDir = config.rootDir || process.cwd();
+  const sectionContext = { reportOptions, sourceUrl: context.sourceUrl || (() => null) };
+  const title = reportOptions.title || DEFAULT_TITLE;
+  
+  const template = reportOptions.template
+    ? readReportFile(rootDir, reportOptions.template, 'template')
+    : DEFAULT_TEMPLATE;
+  const stylesheet = reportOptions.stylesheet
+    ? readReportFile(rootDir, reportOptions.stylesheet, 'stylesheet')
+    : '';
+  
+  const values = {
+    title: escapeHTML(title),
+    styles: stylesheet ? `${DEFAULT_STYLES}\n${stylesheet}` : DEFAULT_STYLES,
+    header: renderHeader(report, title),
+    summary: renderSummary(report),
+    sections: `${renderFilters(report)}
+        
+        ${renderTabs(getSections(reportOptions, rootDir), report, sectionContext)}`,
+    scripts: DEFAULT_SCRIPTS,
+    generatedAt: escapeHTML(report.summary.generatedAt)
+  };
+  
+  // A function replacement keeps `$` in the report text literal
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  ));
+}
+
+module.exports = {
+  renderHTMLReport,
+  escapeHTML,
+  formatDelta,
+  describeUsageBreakdown
+};
@@ -0,0 +1,53 @@
+/**
+ * Helpers for reading JSX attributes, shared by the props adder and the
+ * analyzer's prop statistics.
+ */
+
+/**
+ * Get the name of a JSX attribute ('' for spreads)
+ */
+function getPropName(prop) {
+  // Handle JSXAttribute - use name property instead of key
+  if (prop.type === 'JSXAttribute' && prop.name) {
+    if (prop.name.type === 'JSXIdentifier') {
+      return prop.name.name;
+    } else if (prop.name.type === 'Literal') {
+      return prop.name.value;
+    }
+  }
+  return '';
+}
+
+/**
+ * Get the literal value of a prop as a string key (mapValue lookups,
+ * value statistics).
+ * Returns undefined for values that are not static literals.
+ */
+function getLiteralPropValue(prop) {
+  let node = prop.value;
+  
+  if (!node) {
+    return 'true'; // Shorthand boolean prop
+  }
+  if (node.type === 'JSXExpressionContainer') {
+    node = node.expression;
+  }
+  
+  switch (node.type) {
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return String(node.value);
+    case 'NullLiteral':
+      return 'null';
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    default:
+      return undefined;
+  }
+}
+
+module.exports = {
+  getPropName,
+  getLiteralPropValue
+};
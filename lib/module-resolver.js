@@ -0,0 +1,363 @@
+/**
+ * Module resolution for following re-exports and barrel files.
+ *
+ * Resolves project import specifiers to files (relative paths, tsconfig
+ * `paths`/`baseUrl` and babel-plugin-module-resolver aliases) and follows
+ * `export { X } from`, `export * from` and import-then-export chains until
+ * a binding ends up in an external package or a local definition.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSource } = require('./source-files');
+
+const DEFAULT_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js'];
+
+/**
+ * Read a JSON file that may contain comments and trailing commas (tsconfig)
+ */
+function readJSONWithComments(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8')
+    // Strings are matched first so `//` inside "paths" values survives
+    .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string || '')
+    .replace(/,(\s*[}\]])/g, '$1');
+  return JSON.parse(text);
+}
+
+/**
+ * Load `compilerOptions.paths` and `baseUrl` from a tsconfig, following
+ * relative `extends`
+ */
+function loadTsconfigPaths(tsconfigPath) {
+  if (!tsconfigPath || !fs.existsSync(tsconfigPath)) {
+    return null;
+  }
+  
+  const tsconfig = readJSONWithComments(tsconfigPath);
+  const configDir = path.dirname(path.resolve(tsconfigPath));
+  let inherited = null;
+  
+  if (typeof tsconfig.extends === 'string' && tsconfig.extends.startsWith('.')) {
+    const parentPath = path.resolve(configDir, tsconfig.extends);
+    inherited = loadTsconfigPaths(parentPath.endsWith('.json') ? parentPath : `${parentPath}.json`);
+  }
+  
+  const options = tsconfig.compilerOptions || {};
+  const baseUrl = options.baseUrl !== undefined
+    ? path.resolve(configDir, options.baseUrl)
+    : inherited && inherited.baseUrl;
+  
+  // `paths` are relative to baseUrl, or to the tsconfig that declares them
+  if (!options.paths && inherited) {
+    return { baseUrl, paths: inherited.paths, pathsBase: inherited.pathsBase };
+  }
+  
+  return { baseUrl, paths: options.paths || {}, pathsBase: baseUrl || configDir };
+}
+
+/**
+ * Load babel-plugin-module-resolver `root` and `alias` options
+ */
+function loadBabelAliases(babelConfigPath) {
+  if (!babelConfigPath || !fs.existsSync(babelConfigPath)) {
+    return null;
+  }
+  
+  const absolutePath = path.resolve(babelConfigPath);
+  let babelConfig;
+  
+  if (/\.(c?js)$/.test(absolutePath)) {
+    babelConfig = require(absolutePath);
+    if (typeof babelConfig === 'function') {
+      // Minimal stand-in for Babel's config API
+      const cache = () => {};
+      Object.assign(cache, { forever() {}, never() {}, using() {}, invalidate() {} });
+      babelConfig = babelConfig({ cache, env: () => 'development', caller: () => undefined, assertVersion() {} });
+    }
+  } else {
+    babelConfig = readJSONWithComments(absolutePath);
+  }
+  
+  const plugin = (babelConfig.plugins || []).find(entry => {
+    const name = Array.isArray(entry) ? entry[0] : entry;
+    return name === 'module-resolver' || name === 'babel-plugin-module-resolver';
+  });
+  
+  if (!plugin) {
+    return null;
+  }
+  
+  const options = (Array.isArray(plugin) && plugin[1]) || {};
+  const configDir = path.dirname(absolutePath);
+  
+  return {
+    roots: [].concat(options.root || []).map(root => path.resolve(configDir, root)),
+    alias: options.alias || {},
+    aliasBase: configDir
+  };
+}
+
+/**
+ * Create a resolver for one project.
+ *
+ * options.rootDir     - directory config paths are relative to (cwd)
+ * options.tsconfig    - tsconfig path ('./tsconfig.json' when omitted)
+ * options.babelConfig - babel config path (first of babel.config.js/.babelrc when omitted)
+ * options.alias       - extra `{ "@components": "./src/components" }` aliases
+ * options.extensions  - file extensions to try
+ * options.files       - in-memory sources (absolute path -> content) that
+ *                       take precedence over the disk
+ */
+function createModuleResolver(options = {}) {
+  const rootDir = options.rootDir || process.cwd();
+  const extensions = Array.from(new Set([
+    ...(options.extensions || []).map(ext => (ext.startsWith('.') ? ext : `.${ext}`)),
+    ...DEFAULT_EXTENSIONS
+  ]));
+  
+  const tsconfig = loadTsconfigPaths(path.resolve(rootDir, options.tsconfig || 'tsconfig.json'));
+  const babelConfigPath = options.babelConfig
+    ? path.resolve(rootDir, options.babelConfig)
+    : ['babel.config.js', '.babelrc', '.babelrc.json', 'babel.config.json']
+      .map(name => path.join(rootDir, name))
+      .find(candidate => fs.existsSync(candidate));
+  const babel = loadBabelAliases(babelConfigPath);
+  const extraAlias = options.alias || {};
+  const sources = options.files || new Map();
+  
+  const exportCache = new Map(); // filePath -> export table
+  let dependencies = null; // files read by resolveExport, see collectDependencies()
+  
+  /**
+   * Try a path as a file, with extensions, and as a directory index
+   */
+  function resolveAsFile(candidate) {
+    const attempts = [
+      candidate,
+      ...extensions.map(ext => candidate + ext),
+      ...extensions.map(ext => path.join(candidate, `index${ext}`))
+    ];
+    return attempts.find(attempt => sources.has(attempt) || (fs.existsSync(attempt) && fs.statSync(attempt).isFile())) || null;
+  }
+  
+  /**
+   * Expand aliases for a bare specifier into candidate paths
+   */
+  function aliasCandidates(specifier) {
+    const candidates = [];
+    
+    const addPrefixAliases = (aliases, base) => {
+      Object.entries(aliases).forEach(([key, target]) => {
+        if (key.startsWith('^')) {
+          const pattern = new RegExp(key);
+          if (pattern.test(specifier)) {
+            candidates.push(path.resolve(base, specifier.replace(pattern, String(target).replace(/\\(\d)/g, '$$$1'))));
+          }
+        } else if (specifier === key || specifier.startsWith(`${key}/`)) {
+          candidates.push(path.resolve(base, target + specifier.slice(key.length)));
+        }
+      });
+    };
+    
+    addPrefixAliases(extraAlias, rootDir);
+    
+    if (tsconfig) {
+      Object.entries(tsconfig.paths || {}).forEach(([pattern, targets]) => {
+        const star = pattern.indexOf('*');
+        let match = null;
+        
+        if (star === -1) {
+          match = specifier === pattern ? '' : null;
+        } else if (specifier.startsWith(pattern.slice(0, star)) && specifier.endsWith(pattern.slice(star + 1))) {
+          match = specifier.slice(star, specifier.length - (pattern.length - star - 1));
+        }
+        
+        if (match !== null) {
+          targets.forEach(target => candidates.push(path.resolve(tsconfig.pathsBase, target.replace('*', match))));
+        }
+      });
+      
+      if (tsconfig.baseUrl) {
+        candidates.push(path.resolve(tsconfig.baseUrl, specifier));
+      }
+    }
+    
+    if (babel) {
+      addPrefixAliases(babel.alias, babel.aliasBase);
+      babel.roots.forEach(root => candidates.push(path.resolve(root, specifier)));
+    }
+    
+    return candidates;
+  }
+  
+  /**
+   * Resolve an import specifier to a project file, or null for packages
+   */
+  function resolveFile(specifier, fromFile) {
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      return resolveAsFile(path.resolve(path.dirname(fromFile), specifier));
+    }
+    
+    for (const candidate of aliasCandidates(specifier)) {
+      const resolved = resolveAsFile(candidate);
+      if (resolved) return resolved;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Build (and cache) the export table of a file
+   *
+   * named: exportName -> { source, imported } for re-exports/imported
+   *        bindings, or { local: true } for declarations in the file
+   * stars: sources of `export * from`
+   */
+  function getExports(filePath) {
+    if (exportCache.has(filePath)) {
+      return exportCache.get(filePath);
+    }
+    
+    const table = { named: new Map(), stars: [] };
+    exportCache.set(filePath, table);
+    
+    let ast;
+    try {
+      ast = parseSource(sources.has(filePath) ? sources.get(filePath) : fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return table;
+    }
+    
+    const importedBindings = new Map();
+    ast.program.body.forEach(node => {
+      if (node.type !== 'ImportDeclaration' || node.importKind === 'type') return;
+      node.specifiers.forEach(spec => {
+        const imported = spec.type === 'ImportSpecifier'
+          ? spec.imported.name || spec.imported.value
+          : spec.type === 'ImportDefaultSpecifier' ? 'default' : '*';
+        importedBindings.set(spec.local.name, { source: node.source.value, imported });
+      });
+    });
+    
+    const exportLocal = (exportName, localName) => {
+      table.named.set(exportName, importedBindings.get(localName) || { local: true });
+    };
+    
+    ast.program.body.forEach(node => {
+      if (node.type === 'ExportAllDeclaration' && node.exportKind !== 'type') {
+        table.stars.push(node.source.value);
+      } else if (node.type === 'ExportNamedDeclaration' && node.exportKind !== 'type') {
+        if (node.source) {
+          node.specifiers.forEach(spec => {
+            const exportName = spec.exported.name || spec.exported.value;
+            const imported = spec.type === 'ExportNamespaceSpecifier' ? '*' : spec.local.name || spec.local.value;
+            table.named.set(exportName, { source: node.source.value, imported });
+          });
+        } else if (node.declaration) {
+          const declaration = node.declaration;
+          if (declaration.id) {
+            table.named.set(declaration.id.name, { local: true });
+          } else if (declaration.declarations) {
+            declaration.declarations
+              .filter(declarator => declarator.id.type === 'Identifier')
+              .forEach(declarator => table.named.set(declarator.id.name, { local: true }));
+          }
+        } else {
+          node.specifiers.forEach(spec => {
+            exportLocal(spec.exported.name || spec.exported.value, spec.local.name);
+          });
+        }
+      } else if (node.type === 'ExportDefaultDeclaration') {
+        if (node.declaration.type === 'Identifier') {
+          exportLocal('default', node.declaration.name);
+        } else {
+          table.named.set('default', { local: true });
+        }
+      }
+    });
+    
+    return table;
+  }
+  
+  /**
+   * Follow `exportName` of a project file to where it is defined.
+   *
+   * Returns { source, imported } when it comes from a package,
+   * { file, imported } when it is declared in a project file, or null
+   * when it cannot be found.
+   */
+  function resolveExport(filePath, exportName, seen = new Set()) {
+    const key = `${filePath}\u0000${exportName}`;
+    if (seen.has(key)) return null; // Circular re-exports
+    seen.add(key);
+    
+    if (dependencies) {
+      dependencies.add(filePath);
+    }
+    
+    const table = getExports(filePath);
+    const entry = table.named.get(exportName);
+    
+    const follow = (source, imported) => {
+      const file = resolveFile(source, filePath);
+      if (!file) {
+        return { source, imported };
+      }
+      return imported === '*' ? { file, imported: '*' } : resolveExport(file, imported, seen);
+    };
+    
+    if (entry) {
+      return entry.local ? { file: filePath, imported: exportName } : follow(entry.source, entry.imported);
+    }
+    
+    if (exportName === 'default') {
+      return null; // `export *` never re-exports default
+    }
+    
+    // Project barrels first: a package `export *` cannot be checked for the name
+    const files = [];
+    const packages = [];
+    table.stars.forEach(source => {
+      const file = resolveFile(source, filePath);
+      if (file) files.push(file); else packages.push(source);
+    });
+    
+    for (const file of files) {
+      const resolved = resolveExport(file, exportName, seen);
+      if (resolved) return resolved;
+    }
+    
+    return packages.length > 0 ? { source: packages[0], imported: exportName } : null;
+  }
+  
+  /**
+   * Run `fn` and list the files whose exports it looked at, so cached
+   * results can be invalidated when a barrel changes
+   */
+  function collectDependencies(fn) {
+    const previous = dependencies;
+    dependencies = new Set();
+    
+    try {
+      const result = fn();
+      return { result, files: Array.from(dependencies) };
+    } finally {
+      dependencies = previous;
+    }
+  }
+  
+  /**
+   * The aliases and paths loaded from the tsconfig and babel config, so
+   * cached results can be dropped when those files change
+   */
+  function getSettings() {
+    return { tsconfig, babel, alias: extraAlias };
+  }
+  
+  return { resolveFile, resolveExport, collectDependencies, getSettings };
+}
+
+module.exports = {
+  createModuleResolver,
+  readJSONWithComments
+};
@@ -0,0 +1,171 @@
+/**
+ * Migration budgets for `component-analyzer.js --enforce`.
+ *
+ * A policy is a list of rules in analyzer-config.json, e.g.
+ *
+ *   { "component": "TextInput", "source": "react-native", "maxUsages": 40, "allowNewFiles": false }
+ *
+ * evaluated against the JSON report of a run (and optionally a baseline
+ * report) so CI can fail pull requests that add usages. Components are
+ * merged by name, so a rule with a `source` only counts the usages
+ * imported from that package.
+ */
+
+const PRIORITY_ORDER = ['low', 'medium', 'high'];
+
+/**
+ * Check the policy section for mistakes, returning a list of problems
+ */
+function validatePolicy(policy) {
+  const problems = [];
+  
+  if (!policy || !Array.isArray(policy.rules)) {
+    return ['"policy.rules" must be an array'];
+  }
+  
+  policy.rules.forEach((rule, index) => {
+    const label = `policy.rules[${index}]`;
+    
+    if (!rule.component && !rule.components) {
+      problems.push(`${label} needs "component" (or "*") or "components"`);
+    }
+    ['maxUsages', 'maxTransitiveUsages', 'maxFiles'].forEach(key => {
+      if (rule[key] !== undefined && !(Number.isInteger(rule[key]) && rule[key] >= 0)) {
+        problems.push(`${label}.${key} must be a non-negative integer`);
+      }
+    });
+    if (rule.maxPriority !== undefined && !PRIORITY_ORDER.includes(rule.maxPriority)) {
+      problems.push(`${label}.maxPriority must be one of ${PRIORITY_ORDER.join(', ')}`);
+    }
+  });
+  
+  return problems;
+}
+
+/**
+ * Check whether a policy rule applies to a report component
+ */
+function ruleAppliesTo(rule, component) {
+  const names = rule.components || [rule.component];
+  if (!names.includes('*') && !names.includes(component.name)) {
+    return false;
+  }
+  return !rule.source || component.packages.includes(rule.source);
+}
+
+/**
+ * Check whether a report usage is imported from `source`; reports from
+ * before usages recorded their package go by the component's packages
+ */
+function isFromSource(usage, component, source) {
+  return usage.package !== undefined ? usage.package === source : component.packages.includes(source);
+}
+
+/**
+ * The part of a component imported from one package: its usages, the files
+ * they are in and the wrappers around them. A wrapper counts when its file
+ * uses the component from that package, or (for wrappers of wrappers) when
+ * every usage is from it.
+ */
+function scopeToSource(component, source) {
+  const allUsages = component.usages || [];
+  const usages = allUsages.filter(usage => isFromSource(usage, component, source));
+  const files = {};
+  usages.forEach(usage => {
+    files[usage.file] = (files[usage.file] || 0) + 1;
+  });
+  
+  const allFromSource = usages.length === allUsages.length;
+  const usageFiles = new Set(allUsages.map(usage => usage.file));
+  const wrapperUsages = (component.wrappers || [])
+    .filter(wrapper => (usageFiles.has(wrapper.file) ? files[wrapper.file] !== undefined : allFromSource))
+    .reduce((sum, wrapper) => sum + wrapper.usages, 0);
+  
+  return {
+    ...component,
+    totalUsages: usages.length,
+    transitiveUsages: usages.length + wrapperUsages,
+    packages: [source],
+    files,
+    usages
+  };
+}
+
+/**
+ * The files a report component is used in, as its usages list them:
+ * relative to the cwd, where `files` keys of older reports were absolute
+ */
+function getUsageFiles(component) {
+  return new Set(component.usages ? component.usages.map(usage => usage.file) : Object.keys(component.files));
+}
+
+/**
+ * Describe the component a rule is about: `TextInput (react-native)`
+ */
+function describeTarget(rule, component) {
+  return rule.source ? `${component.name} (${rule.source})` : component.name;
+}
+
+/**
+ * Evaluate a policy against a JSON report.
+ *
+ * `baseline` is an earlier report; without it `allowNewFiles: false`
+ * cannot be checked and is reported in `skipped`.
+ * Returns { violations: [{ component, rule, message }], skipped: [] }.
+ */
+function evaluatePolicy(policy, report, baseline = null) {
+  const violations = [];
+  const skipped = [];
+  const baselineComponents = new Map(((baseline && baseline.components) || []).map(comp => [comp.name, comp]));
+  
+  policy.rules.forEach((rule, index) => {
+    const addViolation = (component, message) => {
+      violations.push({ component: component.name, rule: index, message: `${describeTarget(rule, component)}: ${message}` });
+    };
+    
+    if (rule.allowNewFiles === false && !baseline) {
+      skipped.push(`policy.rules[${index}].allowNewFiles needs a baseline report (--baseline or policy.baseline)`);
+    }
+    
+    report.components.filter(component => ruleAppliesTo(rule, component)).forEach(reportComponent => {
+      const component = rule.source ? scopeToSource(reportComponent, rule.source) : reportComponent;
+      
+      if (rule.maxUsages !== undefined && component.totalUsages > rule.maxUsages) {
+        addViolation(component, `${component.totalUsages} usages exceeds the budget of ${rule.maxUsages}`);
+      }
+      
+      if (rule.maxTransitiveUsages !== undefined && component.transitiveUsages > rule.maxTransitiveUsages) {
+        addViolation(component, `${component.transitiveUsages} usages including wrappers exceeds the budget of ${rule.maxTransitiveUsages}`);
+      }
+      
+      const fileCount = Object.keys(component.files).length;
+      if (rule.maxFiles !== undefined && fileCount > rule.maxFiles) {
+        addViolation(component, `used in ${fileCount} files, the budget is ${rule.maxFiles}`);
+      }
+      
+      // Same thresholds as the report's migration priority
+      if (rule.maxPriority !== undefined &&
+          PRIORITY_ORDER.indexOf(component.migrationPriority) > PRIORITY_ORDER.indexOf(rule.maxPriority)) {
+        addViolation(component, `${component.migrationPriority} migration priority, at most ${rule.maxPriority} is allowed`);
+      }
+      
+      if (rule.allowNewFiles === false && baseline) {
+        const baselineComponent = baselineComponents.get(component.name);
+        const before = baselineComponent && rule.source ? scopeToSource(baselineComponent, rule.source) : baselineComponent;
+        const knownFiles = before ? getUsageFiles(before) : new Set();
+        const newFiles = Array.from(getUsageFiles(component)).filter(file => !knownFiles.has(file));
+        
+        if (newFiles.length > 0) {
+          addViolation(component, `new usage in ${newFiles.length} file${newFiles.length > 1 ? 's' : ''}: ${newFiles.join(', ')}`);
+        }
+      }
+    });
+  });
+  
+  return { violations, skipped };
+}
+
+module.exports = {
+  validatePolicy,
+  evaluatePolicy
+};
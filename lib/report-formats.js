@@ -0,0 +1,289 @@
+/**
+ * Report formats of the component analyzer.
+ *
+ * Every format renders the JSON report data (see buildJSONReport() in
+ * component-analyzer.js) to a string: HTML (see html-report.js), JSON,
+ * Markdown for PR comments and the workflow step summary, CSV for
+ * spreadsheets, SARIF for code-scanning annotations and JUnit XML for CI
+ * test dashboards. `option` names the reportOptions flag that turns a
+ * format on when --format is not given; formats with `default: true` are on
+ * unless their flag is false.
+ */
+
+const path = require('path');
+const packageJson = require('../package.json');
+const { renderHTMLReport, formatDelta } = require('./html-report');
+
+const PRIORITY_LABELS = {
+  high: '🔴 High',
+  medium: '🟡 Medium',
+  low: '🟢 Low'
+};
+
+// Code-scanning severity of a usage, by the component's migration priority
+const SARIF_LEVELS = {
+  high: 'warning',
+  medium: 'note',
+  low: 'note'
+};
+
+/**
+ * Format a count with its noun ("1 file", "3 files")
+ */
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Number of files a component is used in
+ */
+function countFiles(component) {
+  return Object.keys(component.files).length;
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\|`*_[\]<>])/g, '\\$1').replace(/\n/g, ' ');
+}
+
+/**
+ * Render the report as Markdown: summary, components table, changes, the
+ * migration plan and the most affected files
+ */
+function renderMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    '## 🔍 Component Migration Report',
+    '',
+    `**${summary.totalFiles}** files · **${summary.totalComponents}** components · **${summary.totalUsages}** usages` +
+      (summary.deprecatedPropUsages > 0 ? ` · **${summary.deprecatedPropUsages}** deprecated prop usages` : ''),
+    '',
+    `Packages: ${summary.packages.map(pkg => `\`${pkg}\``).join(', ') || 'none'}`,
+    ''
+  ];
+  
+  if (report.changes) {
+    const { totals, components } = report.changes;
+    lines.push(`### 🔀 Changes since \`${report.changes.since}\``, '');
+    lines.push(`Usages introduced: **${totals.introduced}**, removed: **${totals.removed}**`, '');
+    if (components.length > 0) {
+      lines.push('| Component | Introduced | Removed |', '|-----------|-----------:|--------:|');
+      components.forEach(comp => lines.push(`| ${escapeMarkdown(comp.name)} | +${comp.introduced} | -${comp.removed} |`));
+      lines.push('');
+    }
+  }
+  
+  if (report.comparison) {
+    const { totals, components, regressions } = report.comparison;
+    lines.push('### 📉 Since baseline', '');
+    lines.push(`Usages: ${totals.before} → ${totals.after} (**${formatDelta(totals.delta)}**) · components migrated: **${components.removed.length}**`, '');
+    if (regressions.length > 0) {
+      lines.push(`Regressions: ${regressions.map(comp => `${escapeMarkdown(comp.name)} (${formatDelta(comp.delta)})`).join(', ')}`, '');
+    }
+  }
+  
+  lines.push('### 🧩 Components', '');
+  if (report.components.length === 0) {
+    lines.push('No tracked components found.', '');
+  } else {
+    lines.push('| Component | Usages | Files | Priority | Packages |', '|-----------|-------:|------:|----------|----------|');
+    [...report.components]
+      .sort((a, b) => b.transitiveUsages - a.transitiveUsages || a.name.localeCompare(b.name))
+      .forEach(comp => {
+        const usages = comp.transitiveUsages !== comp.totalUsages
+          ? `${comp.transitiveUsages} (${comp.totalUsages} direct)`
+          : String(comp.totalUsages);
+        const priority = PRIORITY_LABELS[comp.migrationPriority] || comp.migrationPriority;
+        lines.push(`| ${escapeMarkdown(comp.name)} | ${usages} | ${countFiles(comp)} | ${priority} | ${comp.packages.map(escapeMarkdown).join(', ')} |`);
+      });
+    lines.push('');
+  }
+  
+  if (report.plan && report.plan.components.length > 0) {
+    const { plan } = report;
+    lines.push('### 📋 Migration Plan', '');
+    lines.push('| # | Component | Score | Priority | Effort |', '|--:|-----------|------:|----------|-------:|');
+    plan.components.slice(0, 10).forEach(item => {
+      const priority = PRIORITY_LABELS[item.priority] || item.priority;
+      lines.push(`| ${item.rank} | ${escapeMarkdown(item.name)} | ${item.score} | ${priority} | ${item.effort} |`);
+    });
+    lines.push('', `Estimated total effort: **${plan.totalEffort} ${escapeMarkdown(plan.unit)}**`, '');
+  }
+  
+  const topFiles = [...report.files]
+    .filter(file => file.totalUsages > 0)
+    .sort((a, b) => b.totalUsages - a.totalUsages || a.path.localeCompare(b.path))
+    .slice(0, 10);
+  if (topFiles.length > 0) {
+    lines.push('### 📁 Most Affected Files', '', '| File | Usages |', '|------|-------:|');
+    topFiles.forEach(file => lines.push(`| ${escapeMarkdown(file.path)} | ${file.totalUsages} |`));
+    lines.push('');
+  }
+  
+  lines.push(`<sub>Generated ${summary.generatedAt}</sub>`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render the report as CSV with one row per component
+ */
+function renderCSV(report) {
+  const header = [
+    'component', 'priority', 'score', 'effort', 'usages', 'directUsages', 'files',
+    'spreadUsages', 'deprecatedPropUsages', 'packages', 'wrappers'
+  ];
+  const rows = report.components.map(comp => [
+    comp.name,
+    comp.migrationPriority,
+    comp.score,
+    comp.effort,
+    comp.transitiveUsages,
+    comp.totalUsages,
+    countFiles(comp),
+    comp.spreadUsages,
+    comp.deprecatedPropUsages,
+    comp.packages.join(' '),
+    comp.wrappers.map(wrapper => wrapper.name).join(' ')
+  ]);
+  
+  return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render the report as SARIF 2.1.0: one rule per component and one result
+ * per usage, so usages show up as code-scanning annotations
+ */
+function renderSARIF(report) {
+  const rules = report.components.map(comp => ({
+    id: comp.name,
+    name: comp.name.replace(/\W/g, ''),
+    shortDescription: { text: `Usage of ${comp.name}` },
+    fullDescription: {
+      text: `${comp.name} from ${comp.packages.join(', ')} is tracked for migration ` +
+        `(${comp.migrationPriority} priority, ${plural(comp.transitiveUsages, 'usage')}).`
+    },
+    defaultConfiguration: { level: SARIF_LEVELS[comp.migrationPriority] || 'note' },
+    properties: { priority: comp.migrationPriority, usages: comp.transitiveUsages }
+  }));
+  
+  const results = [];
+  report.components.forEach((comp, ruleIndex) => {
+    comp.usages.forEach(usage => {
+      results.push({
+        ruleId: comp.name,
+        ruleIndex,
+        level: SARIF_LEVELS[comp.migrationPriority] || 'note',
+        message: { text: `${comp.name} from ${comp.packages.join(', ')} needs migrating (${comp.migrationPriority} priority)` },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: usage.file.split(path.sep).join('/'), uriBaseId: '%SRCROOT%' },
+            region: { startLine: usage.line, startColumn: usage.column }
+          }
+        }]
+      });
+    });
+  });
+  
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'rn-migrate',
+          version: packageJson.version,
+          rules
+        }
+      },
+      results
+    }]
+  };
+  
+  return JSON.stringify(sarif, null, 2);
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render the report as JUnit XML with one test case per component. A case
+ * fails for the component's policy violations (with --enforce) and for
+ * usages added since the baseline (with --baseline).
+ */
+function renderJUnit(report, context = {}) {
+  const violations = context.policy ? context.policy.violations : [];
+  const regressions = report.comparison ? report.comparison.regressions : [];
+  
+  const testCases = report.components.map(comp => {
+    const failures = [
+      ...violations
+        .filter(violation => violation.component === comp.name)
+        .map(violation => ({ type: 'policy', message: violation.message })),
+      ...regressions
+        .filter(regression => regression.name === comp.name)
+        .map(regression => ({ type: 'regression', message: `${comp.name}: ${formatDelta(regression.delta)} usages since the baseline` }))
+    ];
+    return { comp, failures };
+  });
+  
+  // Violations of rules that no longer match a component still fail the run
+  const otherViolations = violations.filter(violation => !report.components.some(comp => comp.name === violation.component));
+  const failureCount = testCases.filter(testCase => testCase.failures.length > 0).length + otherViolations.length;
+  const testCount = testCases.length + otherViolations.length;
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Component Migration" tests="${testCount}" failures="${failureCount}">`,
+    `  <testsuite name="components" tests="${testCount}" failures="${failureCount}" timestamp="${escapeXML(report.summary.generatedAt)}">`
+  ];
+  
+  testCases.forEach(({ comp, failures }) => {
+    lines.push(`    <testcase classname="${escapeXML(comp.packages.join(','))}" name="${escapeXML(comp.name)}">`);
+    failures.forEach(failure => {
+      lines.push(`      <failure type="${failure.type}" message="${escapeXML(failure.message)}"/>`);
+    });
+    lines.push(`      <system-out>${escapeXML(`${plural(comp.transitiveUsages, 'usage')} in ${plural(countFiles(comp), 'file')} (${comp.migrationPriority} priority)`)}</system-out>`);
+    lines.push('    </testcase>');
+  });
+  
+  otherViolations.forEach(violation => {
+    lines.push(`    <testcase classname="policy" name="${escapeXML(violation.component)}">`);
+    lines.push(`      <failure type="policy" message="${escapeXML(violation.message)}"/>`);
+    lines.push('    </testcase>');
+  });
+  
+  lines.push('  </testsuite>', '</testsuites>', '');
+  return lines.join('\n');
+}
+
+const REPORT_FORMATS = {
+  html: { label: 'HTML', extension: 'html', option: 'generateHTML', default: true, render: renderHTMLReport },
+  json: { label: 'JSON', extension: 'json', option: 'generateJSON', default: true, render: report => JSON.stringify(report, null, 2) },
+  markdown: { label: 'Markdown', extension: 'md', option: 'generateMarkdown', render: renderMarkdown },
+  csv: { label: 'CSV', extension: 'csv', option: 'generateCSV', render: renderCSV },
+  sarif: { label: 'SARIF', extension: 'sarif', option: 'generateSARIF', render: renderSARIF },
+  junit: { label: 'JUnit', extension: 'xml', option: 'generateJUnit', render: renderJUnit }
+};
+
+module.exports = {
+  REPORT_FORMATS
+};
@@ -0,0 +1,122 @@
+/**
+ * Compare analyzer JSON reports to track migration progress.
+ *
+ * `compareReports` diffs one report against a baseline (components and files
+ * added/removed, usage deltas, regressions) and `loadReportHistory` reads a
+ * folder of reports into a time series for the burndown chart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Read an analyzer JSON report, throwing a readable error for other files
+ */
+function loadReport(reportPath) {
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  
+  if (!report.summary || !Array.isArray(report.components)) {
+    throw new Error(`${reportPath} is not a component analyzer report`);
+  }
+  
+  return report;
+}
+
+/**
+ * Diff two maps of name -> usage count
+ */
+function diffCounts(before, after) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  
+  after.forEach((count, name) => {
+    if (!before.has(name)) {
+      added.push({ name, usages: count });
+    } else if (before.get(name) !== count) {
+      changed.push({ name, before: before.get(name), after: count, delta: count - before.get(name) });
+    }
+  });
+  
+  before.forEach((count, name) => {
+    if (!after.has(name)) {
+      removed.push({ name, usages: count });
+    }
+  });
+  
+  changed.sort((a, b) => b.delta - a.delta || a.name.localeCompare(b.name));
+  
+  return { added, removed, changed };
+}
+
+/**
+ * Compare a report against a baseline report.
+ *
+ * Regressions are components that are new since the baseline or whose
+ * usage grew, i.e. work the migration has to undo.
+ */
+function compareReports(baseline, current) {
+  const componentCounts = report => new Map(report.components.map(comp => [comp.name, comp.totalUsages]));
+  // Only files that use tracked components: migrated files drop out
+  const fileCounts = report => new Map((report.files || [])
+    .filter(file => file.totalUsages > 0)
+    .map(file => [file.path, file.totalUsages]));
+  
+  const components = diffCounts(componentCounts(baseline), componentCounts(current));
+  const files = diffCounts(fileCounts(baseline), fileCounts(current));
+  
+  const regressions = [
+    ...components.added.map(comp => ({ name: comp.name, before: 0, after: comp.usages, delta: comp.usages })),
+    ...components.changed.filter(comp => comp.delta > 0)
+  ];
+  
+  return {
+    baselineGeneratedAt: baseline.summary.generatedAt,
+    totals: {
+      before: baseline.summary.totalUsages,
+      after: current.summary.totalUsages,
+      delta: current.summary.totalUsages - baseline.summary.totalUsages
+    },
+    components,
+    files,
+    regressions
+  };
+}
+
+/**
+ * Load every analyzer report in a folder as a history point, oldest first.
+ * Files that are not analyzer reports are skipped.
+ */
+function loadReportHistory(folder) {
+  return fs.readdirSync(folder)
+    .filter(name => name.endsWith('.json'))
+    .map(name => {
+      try {
+        return loadReport(path.join(folder, name));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(report => report && report.summary.generatedAt)
+    .map(toHistoryPoint)
+    .sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+}
+
+/**
+ * Reduce a report to the numbers plotted in the burndown chart
+ */
+function toHistoryPoint(report) {
+  return {
+    generatedAt: report.summary.generatedAt,
+    totalUsages: report.summary.totalUsages,
+    totalComponents: report.summary.totalComponents,
+    affectedFiles: (report.files || []).filter(file => file.totalUsages > 0).length
+  };
+}
+
+module.exports = {
+  loadReport,
+  compareReports,
+  loadReportHistory,
+  toHistoryPoint
+};
@@ -0,0 +1,127 @@
+/**
+ * Migration priority scoring for the component analyzer.
+ *
+ * A component's score combines its usages, the files it is used in, the
+ * distinct props passed and the deprecated prop usages, each with a weight
+ * from the `scoring` section of analyzer-config.json, e.g.
+ *
+ *   {
+ *     "weights": { "usages": 1, "files": 2, "props": 0.5, "deprecatedProps": 3 },
+ *     "thresholds": { "high": 40, "medium": 15 },
+ *     "effort": { "unit": "hours", "base": 1, "perUsage": 0.25 },
+ *     "components": { "TextInput": { "weight": 2, "effort": 16, "tips": ["Use FormInput"] } }
+ *   }
+ *
+ * Thresholds on the score give the migration priority. The default weights
+ * make the score the usage count, so without a `scoring` section priorities
+ * follow `priorityThresholds` as before.
+ */
+
+const DEFAULT_WEIGHTS = {
+  usages: 1,
+  files: 0,
+  props: 0,
+  deprecatedProps: 0
+};
+
+// Rough effort of migrating a component, in `unit`s
+const DEFAULT_EFFORT = {
+  unit: 'hours',
+  base: 1,
+  perUsage: 0.25,
+  perFile: 0.5,
+  perProp: 0.5,
+  perDeprecatedProp: 0.25
+};
+
+/**
+ * Round to at most two decimals (scores and estimates are shown as is)
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build the scoring model from the analyzer config: weights, thresholds
+ * (falling back to priorityThresholds), effort rates and per-component settings
+ */
+function createScoringModel(config) {
+  const scoring = config.scoring || {};
+  
+  return {
+    weights: { ...DEFAULT_WEIGHTS, ...scoring.weights },
+    thresholds: { ...config.priorityThresholds, ...scoring.thresholds },
+    effort: { ...DEFAULT_EFFORT, ...scoring.effort },
+    components: scoring.components || {}
+  };
+}
+
+/**
+ * Score a component from its factors ({ usages, files, props,
+ * deprecatedProps }), returning { score, priority, effort }
+ */
+function scoreComponent(name, factors, model) {
+  const { weights, thresholds, effort } = model;
+  const settings = model.components[name] || {};
+  const weight = settings.weight !== undefined ? settings.weight : 1;
+  
+  const score = round(weight * (
+    weights.usages * factors.usages +
+    weights.files * factors.files +
+    weights.props * factors.props +
+    weights.deprecatedProps * factors.deprecatedProps
+  ));
+  
+  let priority = 'low';
+  if (score >= thresholds.high) {
+    priority = 'high';
+  } else if (score >= thresholds.medium) {
+    priority = 'medium';
+  }
+  
+  // A component's own estimate replaces the formula
+  const estimate = settings.effort !== undefined
+    ? settings.effort
+    : effort.base +
+      effort.perUsage * factors.usages +
+      effort.perFile * factors.files +
+      effort.perProp * factors.props +
+      effort.perDeprecatedProp * factors.deprecatedProps;
+  
+  return { score, priority, effort: round(estimate) };
+}
+
+/**
+ * Rank the report components into a migration plan: highest score first,
+ * with the estimated effort and the component's configured tips
+ */
+function buildMigrationPlan(components, model) {
+  const ranked = [...components]
+    .sort((a, b) => b.score - a.score || b.transitiveUsages - a.transitiveUsages || a.name.localeCompare(b.name))
+    .map((comp, index) => ({
+      rank: index + 1,
+      name: comp.name,
+      priority: comp.migrationPriority,
+      score: comp.score,
+      effort: comp.effort,
+      factors: {
+        usages: comp.transitiveUsages,
+        files: Object.keys(comp.files).length,
+        props: comp.props.length,
+        deprecatedProps: comp.deprecatedPropUsages
+      },
+      tips: (model.components[comp.name] || {}).tips || []
+    }));
+  
+  return {
+    unit: model.effort.unit,
+    totalEffort: round(ranked.reduce((sum, item) => sum + item.effort, 0)),
+    components: ranked
+  };
+}
+
+module.exports = {
+  createScoringModel,
+  scoreComponent,
+  buildMigrationPlan
+};
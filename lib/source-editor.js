@@ -0,0 +1,74 @@
+/**
+ * Minimal source-text editing helpers.
+ *
+ * Instead of regenerating a whole file from its AST, transforms record
+ * edits against the original source (ranges come from Babel node
+ * `start`/`end` offsets) and splice them in afterwards. Everything outside
+ * the edited ranges - formatting, comments, blank lines - is left untouched.
+ * The helpers return the recorded edit, so a later change to the same range
+ * can rewrite its `text` (or drop it) instead of recording an overlapping one.
+ */
+
+/**
+ * Record an insertion of `text` at offset `pos`
+ */
+function insertText(edits, pos, text) {
+  return replaceRange(edits, pos, pos, text);
+}
+
+/**
+ * Record a replacement of the range [start, end) with `text`
+ */
+function replaceRange(edits, start, end, text) {
+  const edit = { start, end, text };
+  edits.push(edit);
+  return edit;
+}
+
+/**
+ * Record a removal of the range [start, end)
+ */
+function removeRange(edits, start, end) {
+  return replaceRange(edits, start, end, '');
+}
+
+/**
+ * Drop a recorded edit, e.g. when a later edit covers its range
+ */
+function dropEdit(edits, edit) {
+  const index = edits.indexOf(edit);
+  if (index !== -1) {
+    edits.splice(index, 1);
+  }
+}
+
+/**
+ * Apply recorded edits to the source text.
+ * Insertions at the same offset keep the order in which they were recorded.
+ */
+function applyEdits(source, edits) {
+  const sorted = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => a.start - b.start || a.end - b.end || a.index - b.index);
+  
+  let output = '';
+  let cursor = 0;
+  
+  for (const edit of sorted) {
+    if (edit.start < cursor) {
+      throw new Error(`Overlapping edits at offset ${edit.start}`);
+    }
+    output += source.slice(cursor, edit.start) + edit.text;
+    cursor = edit.end;
+  }
+  
+  return output + source.slice(cursor);
+}
+
+module.exports = {
+  insertText,
+  replaceRange,
+  removeRange,
+  dropEdit,
+  applyEdits
+};
@@ -0,0 +1,30 @@
+/**
+ * Finding and parsing the project's source files, shared by the commands
+ * and the module resolver so they all see the same files the same way.
+ */
+
+const { glob } = require('glob');
+const { parse } = require('@babel/parser');
+
+/**
+ * Find the files to process under `config.srcFolder` (node_modules excluded)
+ */
+function findSourceFiles(config) {
+  const pattern = `${config.srcFolder}/**/*.{${config.fileExtensions.join(',')}}`;
+  return glob(pattern, { ignore: ['**/node_modules/**'] });
+}
+
+/**
+ * Parse a source file (JSX and TypeScript syntax)
+ */
+function parseSource(content) {
+  return parse(content, {
+    sourceType: 'module',
+    plugins: ['jsx', 'typescript']
+  });
+}
+
+module.exports = {
+  findSourceFiles,
+  parseSource
+};
@@ -0,0 +1,64 @@
+/**
+ * Source snippets of JSX usages for the analyzer reports.
+ *
+ * A snippet is the usage's opening tag with a few lines of context on
+ * either side, dedented, as `{ startLine, lines, element: { start, end } }`
+ * where `element` gives the (1-based) lines of the opening tag.
+ */
+
+const DEFAULT_CONTEXT_LINES = 2;
+
+// Long opening tags (many props) and minified lines are cut short
+const MAX_ELEMENT_LINES = 8;
+const MAX_LINE_LENGTH = 160;
+
+/**
+ * Split source into lines for captureSnippet()
+ */
+function splitLines(content) {
+  return content.split(/\r?\n/);
+}
+
+/**
+ * Remove the indentation shared by all non-blank lines
+ */
+function dedent(lines) {
+  const indents = lines
+    .filter(line => line.trim() !== '')
+    .map(line => line.match(/^[ \t]*/)[0].length);
+  const indent = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map(line => line.slice(indent));
+}
+
+/**
+ * Capture the snippet of a JSX element from its opening tag's `loc`
+ */
+function captureSnippet(lines, loc, contextLines = DEFAULT_CONTEXT_LINES) {
+  const elementStart = loc.start.line;
+  const elementEnd = Math.min(loc.end.line, elementStart + MAX_ELEMENT_LINES - 1);
+  let startLine = Math.max(1, elementStart - contextLines);
+  let endLine = Math.min(lines.length, elementEnd + contextLines);
+  
+  // Blank context lines at the edges add nothing
+  while (startLine < elementStart && lines[startLine - 1].trim() === '') {
+    startLine++;
+  }
+  while (endLine > elementEnd && lines[endLine - 1].trim() === '') {
+    endLine--;
+  }
+  
+  const snippetLines = dedent(lines.slice(startLine - 1, endLine))
+    .map(line => (line.length > MAX_LINE_LENGTH ? `${line.slice(0, MAX_LINE_LENGTH - 1)}…` : line));
+  
+  return {
+    startLine,
+    lines: snippetLines,
+    element: { start: elementStart, end: elementEnd }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONTEXT_LINES,
+  splitLines,
+  captureSnippet
+};
@@ -0,0 +1,82 @@
+/**
+ * Squarified treemap layout (Bruls, Huizing & van Wijk) for the HTML
+ * report's usage-by-folder chart.
+ *
+ * Items are `{ value, ... }`; the layout returns them as
+ * `{ item, x, y, width, height }` filling the rectangle, with areas
+ * proportional to the values and rows kept as close to square as possible.
+ */
+
+/**
+ * Worst aspect ratio of a row of areas laid along a side
+ */
+function worstRatio(areas, side) {
+  const sum = areas.reduce((total, area) => total + area, 0);
+  const max = Math.max(...areas);
+  const min = Math.min(...areas);
+  return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+}
+
+/**
+ * Lay out items (largest first works best) in `{ x, y, width, height }`
+ */
+function squarify(items, rect) {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  const cells = [];
+  if (total <= 0 || rect.width <= 0 || rect.height <= 0) {
+    return cells;
+  }
+  
+  const scale = (rect.width * rect.height) / total;
+  const remaining = items
+    .filter(item => item.value > 0)
+    .map(item => ({ item, area: item.value * scale }));
+  let { x, y, width, height } = rect;
+  let row = [];
+  
+  // Place a row along the shorter side and shrink the free space
+  const layoutRow = () => {
+    const rowArea = row.reduce((sum, cell) => sum + cell.area, 0);
+    if (width >= height) {
+      const rowWidth = rowArea / height;
+      let offset = y;
+      row.forEach(cell => {
+        const cellHeight = cell.area / rowWidth;
+        cells.push({ item: cell.item, x, y: offset, width: rowWidth, height: cellHeight });
+        offset += cellHeight;
+      });
+      x += rowWidth;
+      width -= rowWidth;
+    } else {
+      const rowHeight = rowArea / width;
+      let offset = x;
+      row.forEach(cell => {
+        const cellWidth = cell.area / rowHeight;
+        cells.push({ item: cell.item, x: offset, y, width: cellWidth, height: rowHeight });
+        offset += cellWidth;
+      });
+      y += rowHeight;
+      height -= rowHeight;
+    }
+    row = [];
+  };
+  
+  while (remaining.length > 0) {
+    const side = Math.min(width, height);
+    const areas = row.map(cell => cell.area);
+    if (row.length === 0 || worstRatio([...areas, remaining[0].area], side) <= worstRatio(areas, side)) {
+      row.push(remaining.shift());
+    } else {
+      layoutRow();
+    }
+  }
+  if (row.length > 0) {
+    layoutRow();
+  }
+  
+  return cells;
+}
+
+module.exports = {
+  squarify
+};
@@ -0,0 +1,109 @@
+/**
+ * Worker-thread pool for per-file work in the analyzer and the props adder.
+ *
+ * The pool starts the calling script itself as a worker and hands it the
+ * loaded config as `workerData`; the script sets itself up from that and
+ * calls `serveTasks()` instead of running the command.
+ * Results come back in task order, so merging them is deterministic.
+ */
+
+const os = require('os');
+const { Worker, parentPort } = require('worker_threads');
+
+// Below this many files per worker, starting workers costs more than it saves
+const MIN_TASKS_PER_WORKER = 20;
+
+/**
+ * Number of CPUs available to this process
+ */
+function getDefaultConcurrency() {
+  return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+/**
+ * Decide how many workers to start for a number of tasks (0 = run inline)
+ */
+function getWorkerCount(taskCount, concurrency = getDefaultConcurrency()) {
+  const workers = Math.min(concurrency, Math.ceil(taskCount / MIN_TASKS_PER_WORKER));
+  return workers > 1 ? workers : 0;
+}
+
+/**
+ * Run tasks on `workerCount` workers started from `script`, each receiving
+ * `data` (plain, structured-clonable values) as its `workerData`.
+ *
+ * Resolves with one `{ result }` or `{ error }` per task, in task order.
+ */
+function runInWorkers(script, tasks, workerCount, data = null) {
+  const results = new Array(tasks.length);
+  const workers = [];
+  let nextTask = 0;
+  let finished = 0;
+  
+  return new Promise((resolve, reject) => {
+    const stopAll = () => workers.forEach(worker => worker.terminate());
+    
+    const sendNext = worker => {
+      if (nextTask < tasks.length) {
+        const index = nextTask++;
+        worker.postMessage({ index, task: tasks[index] });
+      }
+    };
+    
+    if (tasks.length === 0) {
+      resolve(results);
+      return;
+    }
+    
+    for (let i = 0; i < Math.min(workerCount, tasks.length); i++) {
+      const worker = new Worker(script, { workerData: data });
+      workers.push(worker);
+      
+      worker.on('message', ({ index, result, error }) => {
+        results[index] = error ? { error } : { result };
+        finished++;
+        
+        if (finished === tasks.length) {
+          stopAll();
+          resolve(results);
+        } else {
+          sendNext(worker);
+        }
+      });
+      
+      worker.on('error', error => {
+        stopAll();
+        reject(error);
+      });
+      
+      worker.on('exit', code => {
+        if (finished < tasks.length) {
+          stopAll();
+          reject(new Error(`Worker stopped with exit code ${code} before finishing its files`));
+        }
+      });
+      
+      sendNext(worker);
+    }
+  });
+}
+
+/**
+ * Handle tasks sent by runInWorkers() in a worker thread
+ */
+function serveTasks(handler) {
+  parentPort.on('message', ({ index, task }) => {
+    try {
+      parentPort.postMessage({ index, result: handler(task) });
+    } catch (error) {
+      parentPort.postMessage({ index, error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  getDefaultConcurrency,
+  getWorkerCount,
+  runInWorkers,
+  serveTasks
+};
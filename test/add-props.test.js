@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const t = require('@babel/types');
+const { addProps, hasProp, sortPropsAlphabetically } = require('../add-props');
+const { listFixtures, readFiles, readConfig, matchSnapshot, matchJSONSnapshot } = require('./helpers/fixtures');
+
+/**
+ * Build a JSX attribute for the unit tests
+ */
+function attribute(name) {
+  return t.jsxAttribute(t.jsxIdentifier(name), t.stringLiteral('x'));
+}
+
+describe('hasProp', () => {
+  it('finds attributes by name', () => {
+    const props = [attribute('placeholder'), attribute('value')];
+    assert.equal(hasProp(props, 'value'), true);
+    assert.equal(hasProp(props, 'maxLength'), false);
+  });
+  
+  it('does not look inside spreads', () => {
+    const props = [t.jsxSpreadAttribute(t.identifier('props'))];
+    assert.equal(hasProp(props, 'props'), false);
+  });
+  
+  it('returns false without props', () => {
+    assert.equal(hasProp([], 'value'), false);
+  });
+});
+
+describe('sortPropsAlphabetically', () => {
+  it('sorts attributes by name', () => {
+    const sorted = sortPropsAlphabetically([attribute('value'), attribute('autoComplete'), attribute('maxLength')]);
+    assert.deepEqual(sorted.map(prop => prop.name.name), ['autoComplete', 'maxLength', 'value']);
+  });
+  
+  it('puts spreads, which have no name, first', () => {
+    const spread = t.jsxSpreadAttribute(t.identifier('props'));
+    const sorted = sortPropsAlphabetically([attribute('value'), spread]);
+    assert.equal(sorted[0], spread);
+  });
+});
+
+// Each fixture is an input file and config.json; output.tsx (absent when
+// nothing changes) and result.json are the expected snapshots
+describe('addProps fixtures', () => {
+  listFixtures('add-props').forEach(({ name, dir }) => {
+    it(name, async () => {
+      const files = readFiles(dir);
+      const inputName = Object.keys(files).find(file => file.startsWith('input.'));
+      const result = await addProps({
+        config: readConfig(dir),
+        files: { [inputName]: files[inputName] },
+        cwd: dir
+      });
+      
+      const [fileResult] = result.files;
+      const outputName = inputName.replace('input.', 'output.');
+      matchSnapshot(fileResult.output || null, path.join(dir, outputName));
+      
+      const { errors, ...stats } = result.stats;
+      matchJSONSnapshot({
+        stats,
+        warnings: fileResult.warnings || [],
+        // The API reports errors by absolute path
+        errors: result.errors.map(error => ({ ...error, file: path.relative(dir, error.file) }))
+      }, dir, path.join(dir, 'result.json'));
+    });
+  });
+});
+
+describe('add-props --check', () => {
+  it('fails for files it could not parse', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-check-'));
+    fs.mkdirSync(path.join(dir, 'src'));
+    fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+      srcFolder: './src',
+      rules: [{ component: 'TextInput', props: [{ name: 'accessible', type: 'shorthand' }] }]
+    }));
+    fs.writeFileSync(path.join(dir, 'src', 'Done.tsx'), "import { TextInput } from 'react-native';\nexport const Done = () => <TextInput accessible />;");
+    fs.writeFileSync(path.join(dir, 'src', 'Broken.tsx'), "import { TextInput } from 'react-native';\nexport const Broken = () => <TextInput;");
+    
+    try {
+      const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'add-props.js'), '--check', '--no-cache', '--config', 'config.json'], {
+        cwd: dir,
+        encoding: 'utf8'
+      });
+      
+      assert.equal(result.status, 1);
+      assert.match(result.stderr, /Check failed: 1 file could not be checked/);
+      assert.ok(result.stderr.includes(`• ${path.join('src', 'Broken.tsx')}: `));
+      assert.doesNotMatch(result.stderr, /would be modified/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { COMMON_OPTIONS, UsageError, parseArgs } = require('../lib/cli-args');
+
+const SPEC = {
+  ...COMMON_OPTIONS,
+  baseline: { type: 'string', value: 'path', description: 'Baseline report' },
+  enforce: { type: 'boolean', description: 'Enforce the policy' }
+};
+
+describe('parseArgs', () => {
+  it('applies the defaults', () => {
+    const options = parseArgs([], SPEC);
+    assert.equal(options.cache, true);
+    assert.equal(options.enforce, false);
+    assert.equal(options.baseline, null);
+    assert.equal(options.concurrency, COMMON_OPTIONS.concurrency.default);
+  });
+  
+  it('reads long options, aliases and inline values', () => {
+    const options = parseArgs(['--baseline', 'last.json', '-s', 'app/src', '--concurrency=2', '--enforce'], SPEC);
+    assert.equal(options.baseline, 'last.json');
+    assert.equal(options.src, 'app/src');
+    assert.equal(options.concurrency, 2);
+    assert.equal(options.enforce, true);
+  });
+  
+  it('negates boolean options with --no-', () => {
+    assert.equal(parseArgs(['--no-cache'], SPEC).cache, false);
+  });
+  
+  it('rejects unknown options', () => {
+    assert.throws(() => parseArgs(['--bogus'], SPEC), error => error instanceof UsageError && /Unknown option --bogus/.test(error.message));
+    assert.throws(() => parseArgs(['--no-baseline'], SPEC), UsageError);
+  });
+  
+  it('rejects arguments that are not options', () => {
+    assert.throws(() => parseArgs(['src'], SPEC), error => error instanceof UsageError && /Unexpected argument "src"/.test(error.message));
+    assert.throws(() => parseArgs(['--enforce', '-'], SPEC), UsageError);
+  });
+  
+  it('rejects missing and invalid values', () => {
+    assert.throws(() => parseArgs(['--baseline'], SPEC), /--baseline needs a value/);
+    assert.throws(() => parseArgs(['--baseline', '--enforce'], SPEC), /--baseline needs a value/);
+    assert.throws(() => parseArgs(['-j', '0'], SPEC), /must be a positive integer, got 0/);
+    assert.throws(() => parseArgs(['--concurrency=two'], SPEC), UsageError);
+  });
+});
@@ -0,0 +1,301 @@
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const os = require('os');
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyze } = require('../component-analyzer');
+const { ConfigError } = require('../lib/config-loader');
+const { UsageError } = require('../lib/cli-args');
+const { listFixtures, readConfig, matchJSONSnapshot } = require('./helpers/fixtures');
+
+// Each fixture is a project (config.json, src/, optionally tsconfig.json);
+// report.json is the expected snapshot of its JSON report and errors
+describe('analyze fixtures', () => {
+  listFixtures('analyzer').forEach(({ name, dir }) => {
+    it(name, async () => {
+      const { report, analysis } = await analyze({
+        config: readConfig(dir),
+        cwd: dir,
+        cache: false,
+        concurrency: 1
+      });
+      
+      const { generatedAt, ...summary } = report.summary;
+      matchJSONSnapshot({
+        ...report,
+        summary,
+        // The API reports errors by absolute path
+        errors: analysis.errors.map(error => ({ ...error, file: path.relative(dir, error.file) }))
+      }, dir, path.join(dir, 'report.json'));
+    });
+  });
+});
+
+describe('analyze', () => {
+  it('analyzes an in-memory file set', async () => {
+    const { analysis } = await analyze({
+      config: { packagesToTrack: ['react-native'] },
+      files: {
+        'src/A.tsx': "import { Text } from 'react-native';\nexport const A = () => <><Text /><Text /></>;"
+      },
+      cwd: path.join(__dirname, 'fixtures')
+    });
+    
+    assert.equal(analysis.components.get('Text').totalUsages, 2);
+  });
+  
+  it('evaluates the policy without exiting', async () => {
+    const { policy } = await analyze({
+      config: {
+        packagesToTrack: ['react-native'],
+        policy: { rules: [{ component: 'Text', maxUsages: 1 }] }
+      },
+      files: {
+        'src/A.tsx': "import { Text } from 'react-native';\nexport const A = () => <><Text /><Text /></>;"
+      },
+      enforce: true
+    });
+    
+    assert.equal(policy.violations.length, 1);
+    assert.equal(policy.violations[0].component, 'Text');
+  });
+  
+  it('counts only the usages from the rule\'s source for a component imported from two packages', async () => {
+    const { report, policy } = await analyze({
+      config: {
+        packagesToTrack: ['react-native', '@acme/ui'],
+        policy: {
+          rules: [
+            { component: 'TextInput', source: 'react-native', maxUsages: 1, maxFiles: 1 },
+            { component: 'TextInput', source: '@acme/ui', maxUsages: 1 }
+          ]
+        }
+      },
+      files: {
+        'src/Login.tsx': "import { TextInput } from 'react-native';\nexport const Login = () => <TextInput />;",
+        'src/Signup.tsx': "import { TextInput } from '@acme/ui';\nexport const Signup = () => <><TextInput /><TextInput /></>;"
+      },
+      enforce: true
+    });
+    
+    assert.equal(report.components.find(comp => comp.name === 'TextInput').totalUsages, 3);
+    assert.deepEqual(policy.violations.map(violation => violation.message), [
+      'TextInput (@acme/ui): 2 usages exceeds the budget of 1'
+    ]);
+  });
+  
+  it('compares new files with a baseline generated in another checkout', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-baseline-'));
+    const config = {
+      packagesToTrack: ['react-native'],
+      policy: { rules: [{ component: 'View', allowNewFiles: false }] }
+    };
+    const files = {
+      'src/A.tsx': "import { View } from 'react-native';\nexport const A = () => <View />;",
+      'src/B.tsx': "import { View } from 'react-native';\nexport const B = () => <View />;"
+    };
+    
+    try {
+      // Older reports keyed `files` by absolute path
+      const { report } = await analyze({ config, files, cwd: dir });
+      const baseline = {
+        ...report,
+        components: report.components.map(comp => ({
+          ...comp,
+          files: Object.fromEntries(Object.entries(comp.files).map(([file, count]) => [path.join('/ci/checkout', file), count]))
+        }))
+      };
+      const baselinePath = path.join(dir, 'baseline.json');
+      fs.writeFileSync(baselinePath, JSON.stringify(baseline));
+      
+      const { policy } = await analyze({
+        config,
+        files: { ...files, 'src/C.tsx': "import { View } from 'react-native';\nexport const C = () => <View />;" },
+        cwd: dir,
+        baseline: baselinePath,
+        enforce: true
+      });
+      
+      assert.deepEqual(policy.violations.map(violation => violation.message), [
+        `View: new usage in 1 file: ${path.join('src', 'C.tsx')}`
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('does not reuse cached results for other snippet options', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-cache-'));
+    const dir = path.join(__dirname, 'fixtures', 'analyzer', 'basic');
+    const run = reportOptions => analyze({
+      config: { ...readConfig(dir), reportOptions, cache: { directory: cacheDir } },
+      cwd: dir,
+      concurrency: 1
+    });
+    const snippets = report => report.components.flatMap(comp => comp.usages).map(usage => usage.snippet);
+    
+    try {
+      const first = await run({});
+      assert.ok(snippets(first.report).every(Boolean));
+      
+      const withoutSnippets = await run({ includeSnippets: false });
+      assert.ok(snippets(withoutSnippets.report).every(snippet => snippet === null));
+      
+      const noContext = await run({ snippetContextLines: 0 });
+      assert.ok(snippets(noContext.report).every(snippet => snippet.startLine === snippet.element.start));
+    } finally {
+      fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+  
+  it('does not reuse cached results after the tsconfig paths change', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-aliases-'));
+    fs.cpSync(path.join(__dirname, 'fixtures', 'analyzer', 'aliases'), dir, { recursive: true });
+    const run = () => analyze({
+      config: { ...readConfig(dir), cache: { directory: '.cache' } },
+      cwd: dir,
+      concurrency: 1
+    });
+    const names = report => report.components.map(comp => comp.name).sort();
+    
+    try {
+      const before = await run();
+      assert.ok(names(before.report).includes('TextInput'));
+      
+      // Without the `@ui` paths the barrel imports are not followed
+      fs.writeFileSync(path.join(dir, 'tsconfig.json'), JSON.stringify({ compilerOptions: { baseUrl: '.' } }));
+      const after = await run();
+      assert.deepEqual(names(after.report), ['Text', 'View']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('accepts the deprecated componentFiltersExamples of older configs', async () => {
+    const { analysis } = await analyze({
+      config: {
+        packagesToTrack: ['react-native'],
+        componentFiltersExamples: { include: ['Text', 'View'], exclude: ['StatusBar'] }
+      },
+      files: {
+        'src/A.tsx': "import { Text, View } from 'react-native';\nexport const A = () => <View><Text /></View>;"
+      }
+    });
+    
+    // Only an example: it filters nothing
+    assert.deepEqual(Array.from(analysis.components.keys()).sort(), ['Text', 'View']);
+  });
+  
+  it('analyzes only the files changed since a git ref', async () => {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-since-')));
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'pipe' });
+    const write = (file, source) => {
+      fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+      fs.writeFileSync(path.join(dir, file), source);
+    };
+    
+    try {
+      write('src/Kept.tsx', "import { View } from 'react-native';\nexport const Kept = () => <View />;");
+      write('src/Edited.tsx', "import { Text } from 'react-native';\nexport const Edited = () => <Text />;");
+      git('init', '--quiet');
+      git('add', '.');
+      git('commit', '--quiet', '-m', 'initial');
+      
+      write('src/Edited.tsx', "import { View } from 'react-native';\nexport const Edited = () => <><View /><View /></>;");
+      write('src/Added.tsx', "import { Text } from 'react-native';\nexport const Added = () => <Text />;");
+      
+      const { report, changedFiles } = await analyze({
+        config: { packagesToTrack: ['react-native'] },
+        cwd: dir,
+        since: 'HEAD',
+        cache: false
+      });
+      
+      assert.equal(changedFiles, 2);
+      assert.equal(report.summary.totalFiles, 2);
+      assert.deepEqual(report.changes.totals, { introduced: 3, removed: 1 });
+      assert.deepEqual(report.changes.files.map(file => [file.path, file.status]).sort(), [
+        [path.join('src', 'Added.tsx'), 'added'],
+        [path.join('src', 'Edited.tsx'), 'modified']
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('gives the same report when parsing on worker threads', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-workers-'));
+    fs.mkdirSync(path.join(dir, 'src'));
+    // Enough files for two workers (see getWorkerCount())
+    for (let i = 0; i < 45; i++) {
+      fs.writeFileSync(
+        path.join(dir, 'src', `Screen${i}.tsx`),
+        `import { View, Text } from 'react-native';\nexport const Screen${i} = () => <View>${'<Text />'.repeat(i % 3 + 1)}</View>;`
+      );
+    }
+    const messages = [];
+    const logger = { log: message => messages.push(message), warn: () => {}, error: () => {} };
+    const run = concurrency => analyze({ config: { packagesToTrack: ['react-native'] }, cwd: dir, cache: false, concurrency, logger });
+    const withoutTimestamp = ({ summary: { generatedAt, ...summary }, ...report }) => ({ ...report, summary });
+    
+    try {
+      const inline = await run(1);
+      const threaded = await run(2);
+      assert.ok(messages.some(message => message.includes('on 2 worker threads')));
+      assert.equal(threaded.report.summary.totalFiles, 45);
+      assert.deepEqual(withoutTimestamp(threaded.report), withoutTimestamp(inline.report));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('accepts fractional priority thresholds of older configs', async () => {
+    const { report } = await analyze({
+      config: { packagesToTrack: ['react-native'], priorityThresholds: { high: 2.5, medium: 1.5 } },
+      files: {
+        'src/A.tsx': "import { Text, View } from 'react-native';\nexport const A = () => <View><Text /><Text /><Text /></View>;"
+      }
+    });
+    
+    const priorities = Object.fromEntries(report.components.map(comp => [comp.name, comp.migrationPriority]));
+    assert.deepEqual(priorities, { Text: 'high', View: 'low' });
+  });
+  
+  it('rejects --since with options that need the whole project', async () => {
+    await assert.rejects(
+      analyze({ config: { packagesToTrack: ['react-native'] }, since: 'HEAD', enforce: true, baseline: 'report.json' }),
+      error => error instanceof UsageError && /cannot be combined with --enforce, --baseline/.test(error.message)
+    );
+  });
+  
+  it('rejects a missing or malformed baseline before analyzing', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-baseline-'));
+    fs.writeFileSync(path.join(dir, 'truncated.json'), '{ "summary": ');
+    fs.writeFileSync(path.join(dir, 'package.json'), '{ "name": "app" }');
+    const messages = [];
+    const run = baseline => analyze({
+      config: { packagesToTrack: ['react-native'] },
+      files: { 'src/A.tsx': "import { Text } from 'react-native';\nexport const A = () => <Text />;" },
+      cwd: dir,
+      baseline,
+      logger: { log: message => messages.push(message), warn: () => {}, error: () => {} }
+    });
+    
+    try {
+      await assert.rejects(run('missing.json'), error => error instanceof ConfigError && /Baseline report does not exist/.test(error.message));
+      await assert.rejects(run('truncated.json'), error => error instanceof ConfigError && /truncated\.json is not valid JSON/.test(error.message));
+      await assert.rejects(run('package.json'), error => error instanceof ConfigError && /is not a component analyzer report/.test(error.message));
+      assert.deepEqual(messages, []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('rejects an invalid config', async () => {
+    await assert.rejects(
+      analyze({ config: { packagesToTrack: 'react-native' }, files: {} }),
+      error => error instanceof ConfigError && /packagesToTrack/.test(error.message)
+    );
+  });
+});
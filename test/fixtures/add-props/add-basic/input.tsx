@@ -0,0 +1,13 @@
+import React from 'react';
+import { TextInput, View } from 'react-native';
+
+export const Form = () => (
+  <View>
+    <TextInput />
+    <TextInput placeholder="Name" value={name} />
+    <TextInput
+      onChangeText={setEmail}
+      placeholder="Email"
+    />
+  </View>
+);
@@ -0,0 +1,16 @@
+import React from 'react';
+import { TextInput, View } from 'react-native';
+
+export const Form = () => (
+  <View>
+    <TextInput autoComplete="off" editable={true} maxLength={100} />
+    <TextInput autoComplete="off" editable={true} maxLength={100} placeholder="Name" value={name} />
+    <TextInput
+      autoComplete="off"
+      editable={true}
+      maxLength={100}
+      onChangeText={setEmail}
+      placeholder="Email"
+    />
+  </View>
+);
@@ -0,0 +1,8 @@
+import { TextInput as RNTextInput } from 'react-native';
+import { Card } from './components/Card';
+
+export const Search = () => (
+  <Card>
+    <RNTextInput autoComplete="off" placeholder="Search" />
+  </Card>
+);
@@ -0,0 +1,9 @@
+import { Image, ScrollView, Switch, TextInput } from 'react-native';
+
+export const Profile = ({ enabled }) => (
+  <ScrollView horizontal>
+    <TextInput placeholder="First name" />
+    <Image source={avatar} />
+    <Switch thumbTintColor="red" value={enabled} />
+  </ScrollView>
+);
@@ -0,0 +1,9 @@
+import { Image, ScrollView, Switch, TextInput } from 'react-native';
+
+export const Profile = ({ enabled }) => (
+  <ScrollView horizontal={false}>
+    <TextInput placeholder="Full name" />
+    <Image fadeDuration={4} source={avatar} />
+    <Switch role="switch" />
+  </ScrollView>
+);
@@ -0,0 +1,9 @@
+import { TextInput } from 'react-native';
+
+export const Fields = () => (
+  <>
+    <TextInput autoComplete="email" maxLength={50} />
+    <TextInput maxLength={10} />
+    <TextInput autoComplete />
+  </>
+);
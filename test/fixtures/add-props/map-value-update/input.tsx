@@ -0,0 +1,11 @@
+import { TextInput } from 'react-native';
+
+export const Amount = () => (
+  <>
+    <TextInput keyboardType="numeric" placeholder="0.00" />
+    <TextInput
+      keyboardType="email-address"
+      maxLength={6}
+    />
+  </>
+);
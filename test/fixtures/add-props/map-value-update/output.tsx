@@ -0,0 +1,11 @@
+import { TextInput } from 'react-native';
+
+export const Amount = () => (
+  <>
+    <TextInput keyboardType="decimal-pad" maxLength={6} placeholder="0.00" />
+    <TextInput
+      keyboardType="decimal-pad"
+      maxLength={6}
+    />
+  </>
+);
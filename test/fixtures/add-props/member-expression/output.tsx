@@ -0,0 +1,10 @@
+import * as RN from 'react-native';
+import ReactNative from 'react-native';
+
+export const Login = () => (
+  <RN.View>
+    <RN.TextInput autoComplete="off" placeholder="User" />
+    <ReactNative.TextInput autoComplete="off" placeholder="Password" secureTextEntry />
+    <RN.Text>Sign in</RN.Text>
+  </RN.View>
+);
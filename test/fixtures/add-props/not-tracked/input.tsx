@@ -0,0 +1,8 @@
+import { TextInput } from 'some-other-package';
+
+export const Other = () => (
+  <div>
+    <TextInput />
+    <input type="text" />
+  </div>
+);
@@ -0,0 +1,8 @@
+import { TextInput } from 'react-native';
+
+export const Pin = () => (
+  <>
+    <TextInput autoCompleteType="off" keyboardType="numeric" underlineColorAndroid="transparent" />
+    <TextInput autoCompleteType="email" autoComplete="email" keyboardType="email-address" />
+  </>
+);
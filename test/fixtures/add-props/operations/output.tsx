@@ -0,0 +1,8 @@
+import { TextInput } from 'react-native';
+
+export const Pin = () => (
+  <>
+    <TextInput autoComplete="off" keyboardType="number-pad" />
+    <TextInput autoCompleteType="email" autoComplete="email" keyboardType="email-address" />
+  </>
+);
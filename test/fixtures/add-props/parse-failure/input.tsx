@@ -0,0 +1,5 @@
+import { TextInput } from 'react-native';
+
+export const Broken = () => (
+  <TextInput placeholder="Unclosed"
+);
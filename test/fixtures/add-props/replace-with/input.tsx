@@ -0,0 +1,19 @@
+import React from 'react';
+import { View, TextInput, Switch, ScrollView } from 'react-native';
+import { Card } from 'ui-components';
+
+const Toggle = () => null;
+
+export const Settings = ({ onFocus }) => (
+  <ScrollView>
+    <Card>
+      <TextInput underlineColorAndroid="red" onFocus={onFocus}>
+        <View />
+      </TextInput>
+      <Switch value />
+      <Toggle />
+    </Card>
+  </ScrollView>
+);
+
+export const isFocused = () => TextInput.State.currentlyFocusedInput() !== null;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { View, TextInput, Switch } from 'react-native';
+import { Card, TextField } from 'ui-components';
+import { List } from '@acme/lists';
+
+const Toggle = () => null;
+
+export const Settings = ({ onFocus }) => (
+  <List>
+    <Card>
+      <TextField underlineColor="red" onFocus={onFocus}>
+        <View />
+      </TextField>
+      <Switch value />
+      <Toggle />
+    </Card>
+  </List>
+);
+
+export const isFocused = () => TextInput.State.currentlyFocusedInput() !== null;
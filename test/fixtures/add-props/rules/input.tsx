@@ -0,0 +1,11 @@
+import { Button, TextInput } from 'react-native';
+import { Button as PaperButton } from 'react-native-paper';
+
+export const Actions = () => (
+  <>
+    <Button title="Save" onPress={save} />
+    <PaperButton onPress={cancel}>Cancel</PaperButton>
+    <TextInput />
+    <TextInput editable={false} />
+  </>
+);
@@ -0,0 +1,11 @@
+import { Button, TextInput } from 'react-native';
+import { Button as PaperButton } from 'react-native-paper';
+
+export const Actions = () => (
+  <>
+    <Button title="Save" accessibilityRole="button" onPress={save} />
+    <PaperButton onPress={cancel}>Cancel</PaperButton>
+    <TextInput accessible />
+    <TextInput editable={false} />
+  </>
+);
@@ -0,0 +1,12 @@
+import { TextInput } from 'react-native';
+
+export const Input = (props) => (
+  <>
+    <TextInput {...props} />
+    <TextInput value={value} {...props} onChangeText={onChange} />
+    <TextInput
+      {...props}
+      placeholder="Email"
+    />
+  </>
+);
@@ -0,0 +1,14 @@
+import { TextInput } from 'react-native';
+
+export const Input = (props) => (
+  <>
+    <TextInput {...props} autoComplete="off" testID="input" />
+    <TextInput value={value} {...props} autoComplete="off" onChangeText={onChange} testID="input" />
+    <TextInput
+      {...props}
+      autoComplete="off"
+      placeholder="Email"
+      testID="input"
+    />
+  </>
+);
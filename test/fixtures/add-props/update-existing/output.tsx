@@ -0,0 +1,9 @@
+import { TextInput } from 'react-native';
+
+export const Fields = () => (
+  <>
+    <TextInput autoComplete="off" maxLength={50} />
+    <TextInput autoComplete="off" maxLength={50} />
+    <TextInput autoComplete="off" maxLength={50} />
+  </>
+);
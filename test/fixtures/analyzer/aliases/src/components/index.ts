@@ -0,0 +1,2 @@
+export { TextInput as Input, Pressable } from 'react-native';
+export * from './primitives';
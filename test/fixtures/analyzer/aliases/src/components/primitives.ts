@@ -0,0 +1 @@
+export { Image as Avatar } from 'react-native';
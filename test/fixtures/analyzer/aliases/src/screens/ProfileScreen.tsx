@@ -0,0 +1,16 @@
+import React from 'react';
+import { Text as Label, View } from 'react-native';
+import { Input, Pressable, Avatar } from '@ui';
+import { Avatar as Photo } from '@ui/primitives';
+
+export const ProfileScreen = () => (
+  <View>
+    <Avatar source={avatar} />
+    <Photo source={cover} />
+    <Label>Name</Label>
+    <Input value={name} />
+    <Pressable onPress={save}>
+      <Label>Save</Label>
+    </Pressable>
+  </View>
+);
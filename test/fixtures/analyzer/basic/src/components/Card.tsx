@@ -0,0 +1,9 @@
+import React from 'react';
+import { View } from 'react-native';
+import { Surface } from 'react-native-paper';
+
+export const Card = ({ children }) => (
+  <Surface>
+    <View style={{ padding: 8 }}>{children}</View>
+  </Surface>
+);
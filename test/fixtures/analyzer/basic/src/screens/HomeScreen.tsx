@@ -0,0 +1,17 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import { useNavigation, Link } from '@react-navigation/native';
+
+export function HomeScreen() {
+  const navigation = useNavigation();
+  return (
+    <View>
+      <Text>Home</Text>
+      <Text>Welcome</Text>
+      <TouchableOpacity onPress={() => navigation.navigate('Profile')}>
+        <Text>Profile</Text>
+      </TouchableOpacity>
+      <Link to="/settings">Settings</Link>
+    </View>
+  );
+}
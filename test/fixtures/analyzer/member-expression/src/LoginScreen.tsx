@@ -0,0 +1,16 @@
+import React from 'react';
+import * as RN from 'react-native';
+import ReactNative from 'react-native';
+import { Animated } from 'react-native';
+
+export class LoginScreen extends React.Component {
+  render() {
+    return (
+      <RN.View>
+        <RN.TextInput placeholder="User" />
+        <ReactNative.TextInput placeholder="Password" secureTextEntry />
+        <Animated.View style={{ opacity: this.opacity }} />
+      </RN.View>
+    );
+  }
+}
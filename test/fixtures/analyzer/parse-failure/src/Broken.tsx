@@ -0,0 +1,3 @@
+import { Text } from 'react-native';
+
+export const Broken = () => <Text>Unclosed;
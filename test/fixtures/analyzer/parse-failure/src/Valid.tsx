@@ -0,0 +1,3 @@
+import { Text } from 'react-native';
+
+export const Valid = () => <Text>Fine</Text>;
@@ -0,0 +1,13 @@
+import React from 'react';
+import { Image, Text, TextInput, View } from 'react-native';
+
+export const LoginScreen = () => (
+  <View>
+    <Image source={require('./logo.png')} />
+    <TextInput placeholder="Email" autoCompleteType="email" />
+    <TextInput placeholder="Password" secureTextEntry />
+    <Text>Forgot password?</Text>
+    <Text>Sign up</Text>
+    <Text>Help</Text>
+  </View>
+);
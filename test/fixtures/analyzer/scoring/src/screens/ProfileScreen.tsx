@@ -0,0 +1,8 @@
+import React from 'react';
+import { Text, View } from 'react-native';
+
+export const ProfileScreen = ({ name }) => (
+  <View>
+    <Text>{name}</Text>
+  </View>
+);
@@ -0,0 +1,12 @@
+import React from 'react';
+import { TextInput } from 'react-native';
+
+const shared = { autoCorrect: false };
+
+export const Fields = (props) => (
+  <>
+    <TextInput {...shared} autoCompleteType="email" />
+    <TextInput {...props} keyboardType="numeric" />
+    <TextInput autoCompleteType={props.type} keyboardType="numeric" />
+  </>
+);
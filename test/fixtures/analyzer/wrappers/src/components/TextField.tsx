@@ -0,0 +1,8 @@
+import React from 'react';
+import { TextInput, View } from 'react-native';
+
+export const TextField = ({ label, ...props }) => (
+  <View>
+    <TextInput {...props} />
+  </View>
+);
@@ -0,0 +1,10 @@
+import React from 'react';
+import { TextField } from '../components/TextField';
+
+export const SignUpScreen = () => (
+  <>
+    <TextField label="Email" />
+    <TextField label="Password" />
+    <TextField label="Repeat password" />
+  </>
+);
@@ -0,0 +1,4 @@
+module.exports = {
+  title: 'Notes',
+  render: () => '<p class="notes">$& is kept as written</p>'
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  title: '👥 Owners',
+  after: 'components',
+  render: (report, { escapeHTML }) => `<p class="owners">${report.components.map(comp => escapeHTML(comp.name)).join(', ')}</p>`
+};
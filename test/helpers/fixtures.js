@@ -0,0 +1,86 @@
+/**
+ * Fixture projects and snapshots for the tests.
+ *
+ * A fixture is a folder under test/fixtures/<suite>/ holding the input
+ * (source files and config.json) next to the expected output. Expected
+ * files are snapshots: run `UPDATE_SNAPSHOTS=1 npm test` to (re)write
+ * them from the current behaviour, then review the diff.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('node:assert/strict');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const UPDATE_SNAPSHOTS = Boolean(process.env.UPDATE_SNAPSHOTS);
+
+/**
+ * List the fixture folders of a suite as { name, dir }
+ */
+function listFixtures(suite) {
+  const suiteDir = path.join(FIXTURES_DIR, suite);
+  return fs.readdirSync(suiteDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => ({ name: entry.name, dir: path.join(suiteDir, entry.name) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read every file below a folder as `{ relativePath: content }`
+ */
+function readFiles(dir, base = dir) {
+  const files = {};
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      Object.assign(files, readFiles(filePath, base));
+    } else {
+      files[path.relative(base, filePath).split(path.sep).join('/')] = fs.readFileSync(filePath, 'utf8');
+    }
+  });
+  return files;
+}
+
+/**
+ * Read a fixture's config.json
+ */
+function readConfig(dir) {
+  return JSON.parse(fs.readFileSync(path.join(dir, 'config.json'), 'utf8'));
+}
+
+/**
+ * Compare text with a snapshot file, writing it instead in update mode.
+ * `null` means the snapshot must not exist (e.g. no output expected).
+ */
+function matchSnapshot(actual, snapshotPath) {
+  if (UPDATE_SNAPSHOTS) {
+    if (actual === null) {
+      fs.rmSync(snapshotPath, { force: true });
+    } else {
+      fs.writeFileSync(snapshotPath, actual);
+    }
+    return;
+  }
+  
+  const expected = fs.existsSync(snapshotPath) ? fs.readFileSync(snapshotPath, 'utf8') : null;
+  assert.equal(actual, expected, `does not match ${path.relative(process.cwd(), snapshotPath)}`);
+}
+
+/**
+ * Compare data with a JSON snapshot file. Paths must be relative to the
+ * fixture (the run's cwd): a snapshot holding the checkout's absolute path
+ * would only pass on this machine.
+ */
+function matchJSONSnapshot(data, fixtureDir, snapshotPath) {
+  const json = JSON.stringify(data, null, 2);
+  assert.ok(!json.includes(fixtureDir), `absolute path in the data for ${path.relative(process.cwd(), snapshotPath)}`);
+  matchSnapshot(`${json}\n`, snapshotPath);
+}
+
+module.exports = {
+  listFixtures,
+  readFiles,
+  readConfig,
+  matchSnapshot,
+  matchJSONSnapshot
+};
@@ -0,0 +1,164 @@
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderHTMLReport } = require('../lib/html-report');
+const { squarify } = require('../lib/treemap');
+const { ConfigError } = require('../lib/config-loader');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'html-report');
+const report = require('./fixtures/report-formats/report.json');
+
+/**
+ * Render the shared report data with the given reportOptions
+ */
+function render(reportOptions = {}, context = {}) {
+  return renderHTMLReport(report, { config: { rootDir: FIXTURE_DIR, reportOptions }, ...context });
+}
+
+describe('renderHTMLReport', () => {
+  it('renders every section by default', () => {
+    const html = render();
+    [
+      '🔀 Changes Since origin/main',
+      '📉 Progress Since Baseline',
+      '📋 Migration Plan',
+      '📊 Component Analysis',
+      '💡 Migration Tips',
+      '🗂️ Usage by Folder',
+      '📁 File Impact Analysis',
+      '📦 Package Analysis'
+    ].forEach(heading => assert.ok(html.includes(heading), heading));
+  });
+  
+  it('leaves out the sections turned off in reportOptions', () => {
+    const html = render({ includeMigrationPlan: false, includeMigrationTips: false, includeTreemap: false, includeFileImpact: false, includePackageAnalysis: false });
+    assert.ok(html.includes('📊 Component Analysis'));
+    assert.ok(!html.includes('📋 Migration Plan'));
+    assert.ok(!html.includes('💡 Migration Tips'));
+    assert.ok(!html.includes('🗂️ Usage by Folder'));
+    assert.ok(!html.includes('📁 File Impact Analysis'));
+    assert.ok(!html.includes('📦 Package Analysis'));
+    assert.ok(!html.includes('data-tab="files"'), 'a tab without sections is left out');
+  });
+  
+  it('groups the sections into tabs', () => {
+    const html = render();
+    const tabs = [...html.matchAll(/<button type="button" class="tab[^"]*" role="tab" data-tab="([^"]+)"/g)].map(match => match[1]);
+    assert.deepEqual(tabs, ['progress', 'plan', 'components', 'files', 'packages']);
+    assert.ok(html.includes('<div class="tab-content active" id="tab-progress" role="tabpanel">'));
+  });
+  
+  it('lists the filter options and the data they match', () => {
+    const html = render();
+    assert.ok(html.includes('<option value="@acme/ui">@acme/ui</option>'));
+    assert.ok(html.includes('<option value="high">high</option>'));
+    ['src', 'src/my_screens', 'src/screens', 'src/components'].forEach(dir => {
+      assert.ok(html.includes(`<option value="${dir}">${dir}</option>`), dir);
+    });
+    assert.ok(html.includes(
+      'data-filter="{&quot;search&quot;:&quot;textinput react-native&quot;,&quot;packages&quot;:[&quot;react-native&quot;],' +
+      '&quot;priorities&quot;:[&quot;high&quot;],&quot;dirs&quot;:[&quot;src/screens&quot;,&quot;src/components&quot;]}"'
+    ));
+  });
+  
+  it('ranks the migration plan and adds the tips and effort to the components', () => {
+    const html = render();
+    const ranked = [...html.matchAll(/<tr class="plan-row"[^>]*>\s*<td class="number">(\d+)<\/td>\s*<td data-value="([^"]+)"/g)]
+      .map(match => `${match[1]}. ${match[2]}`);
+    assert.deepEqual(ranked, ['1. TextInput', '2. Button&lt;&quot;Primary&quot;, Secondary|Tertiary&gt;', '3. Animated.View']);
+    assert.ok(html.includes('<strong>6.75 hours</strong>'));
+    assert.ok(html.includes('<li>Replace with &lt;FormInput&gt; from @acme/ui</li>'));
+    assert.ok(html.includes('<li>Estimated effort: ~3.25 hours (#1 in the migration plan, score 12)</li>'));
+  });
+  
+  it('leaves out the plan for reports without one', () => {
+    const { plan, ...withoutPlan } = report;
+    const html = renderHTMLReport(withoutPlan);
+    assert.ok(!html.includes('data-tab="plan"'));
+    assert.ok(!html.includes('Estimated effort'));
+  });
+  
+  it('draws a treemap box per folder with usages', () => {
+    const html = render();
+    const folders = [...html.matchAll(/<rect class="folder" data-dir="([^"]+)"/g)].map(match => match[1]).sort();
+    assert.deepEqual(folders, ['src/components', 'src/my_screens', 'src/screens']);
+  });
+  
+  it('expands usages with a source snippet to the highlighted code', () => {
+    const html = render();
+    assert.equal((html.match(/<details class="usage-snippet">/g) || []).length, 1);
+    assert.ok(html.includes('<span class="snippet-line"><span class="line-number">11</span>  <span class="tok-comment">// Sign-in form</span></span>'));
+    assert.ok(html.includes(
+      '<span class="snippet-line marked"><span class="line-number">13</span>    ' +
+      '<span class="tok-attr">placeholder</span>=<span class="tok-string">&quot;E-mail &lt;required&gt;&quot;</span></span>'
+    ));
+    assert.ok(!html.includes('<span class="snippet-line marked"><span class="line-number">15</span>'));
+    
+    const withoutSnippets = render({ includeSnippets: false });
+    assert.ok(!withoutSnippets.includes('class="usage-snippet"'));
+    assert.ok(withoutSnippets.includes('L12:7'));
+  });
+  
+  it('escapes names, paths and links', () => {
+    const html = renderHTMLReport(
+      { ...report, summary: { ...report.summary, sourceFolder: "/project/<it's>" } },
+      { sourceUrl: () => 'https://example.com/?a=1&b="2"' }
+    );
+    assert.ok(!html.includes('Button<"Primary"'));
+    assert.ok(html.includes('<div class="component-name">Button&lt;&quot;Primary&quot;, Secondary|Tertiary&gt;</div>'));
+    assert.ok(html.includes('Source folder: /project/&lt;it&#39;s&gt;'));
+    assert.ok(html.includes('href="https://example.com/?a=1&amp;b=&quot;2&quot;"'));
+  });
+  
+  it('fills a custom template with a title, stylesheet and sections', () => {
+    const html = render({
+      title: 'Acme <Migration>',
+      template: 'template.html',
+      stylesheet: 'brand.css',
+      customSections: ['notes-section.js', 'owners-section.js']
+    });
+    
+    assert.ok(html.includes('<title>Acme &lt;Migration&gt;</title>'));
+    assert.ok(html.includes('.acme-brand { background: #222; color: #fff; }'));
+    assert.ok(html.includes('Acme Mobile · 2026-01-15T10:00:00.000Z'));
+    assert.ok(html.includes('{{unknown}}'), 'unknown placeholders are left alone');
+    assert.ok(html.includes('<p class="notes">$& is kept as written</p>'));
+    
+    // Owners goes after the components, notes (without `after`) at the end
+    const order = ['📊 Component Analysis', '👥 Owners', '📁 File Impact Analysis', '📦 Package Analysis', 'Notes']
+      .map(heading => html.indexOf(`<h2>${heading}</h2>`));
+    assert.ok(order.every(index => index !== -1), 'every section is rendered');
+    assert.deepEqual([...order].sort((a, b) => a - b), order);
+  });
+  
+  it('puts a custom section without `after` in its own tab', () => {
+    const html = render({ customSections: ['notes-section.js'] });
+    assert.ok(html.includes('data-tab="custom-1" aria-controls="tab-custom-1">Notes</button>'));
+  });
+  
+  it('rejects a missing template or section', () => {
+    assert.throws(() => render({ template: 'missing.html' }), error => error instanceof ConfigError && /template does not exist/.test(error.message));
+    assert.throws(() => render({ customSections: ['missing.js'] }), error => error instanceof ConfigError && /Could not load report section/.test(error.message));
+  });
+});
+
+describe('squarify', () => {
+  const rect = { x: 10, y: 20, width: 300, height: 200 };
+  const items = [{ value: 6 }, { value: 6 }, { value: 4 }, { value: 3 }, { value: 2 }, { value: 2 }, { value: 1 }];
+  
+  it('gives each item an area proportional to its value inside the rectangle', () => {
+    const cells = squarify(items, rect);
+    const scale = (rect.width * rect.height) / 24;
+    assert.equal(cells.length, items.length);
+    cells.forEach(cell => {
+      assert.ok(Math.abs(cell.width * cell.height - cell.item.value * scale) < 1e-6);
+      assert.ok(cell.x >= rect.x - 1e-9 && cell.x + cell.width <= rect.x + rect.width + 1e-9);
+      assert.ok(cell.y >= rect.y - 1e-9 && cell.y + cell.height <= rect.y + rect.height + 1e-9);
+    });
+  });
+  
+  it('skips empty items and rectangles', () => {
+    assert.deepEqual(squarify([{ value: 0 }], rect), []);
+    assert.deepEqual(squarify(items, { x: 0, y: 0, width: 0, height: 10 }), []);
+  });
+});
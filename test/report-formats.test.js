@@ -0,0 +1,40 @@
+const path = require('path');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { REPORT_FORMATS } = require('../lib/report-formats');
+const { matchSnapshot } = require('./helpers/fixtures');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'report-formats');
+const report = require('./fixtures/report-formats/report.json');
+
+// A policy result as --enforce produces it; "Modal" is no longer used
+const policy = {
+  violations: [
+    { component: 'TextInput', rule: 0, message: 'TextInput: 4 usages exceeds the budget of 3' },
+    { component: 'Modal', rule: 1, message: 'Modal: used in 1 new file' }
+  ],
+  skipped: []
+};
+
+// The report data (with changes, a baseline comparison and names that need
+// escaping) rendered in every format; expected.<extension> are snapshots.
+// HTML has locale dates and is covered by html-report.test.js.
+describe('report formats', () => {
+  Object.entries(REPORT_FORMATS)
+    .filter(([format]) => format !== 'json' && format !== 'html')
+    .forEach(([format, reporter]) => {
+      it(format, () => {
+        matchSnapshot(reporter.render(report, { policy }), path.join(FIXTURE_DIR, `expected.${reporter.extension}`));
+      });
+    });
+  
+  it('json is the report data', () => {
+    assert.deepEqual(JSON.parse(REPORT_FORMATS.json.render(report)), report);
+  });
+  
+  it('sarif is valid JSON with one result per usage', () => {
+    const sarif = JSON.parse(REPORT_FORMATS.sarif.render(report));
+    assert.equal(sarif.runs[0].results.length, 4);
+    assert.deepEqual(sarif.runs[0].results[0].locations[0].physicalLocation.region, { startLine: 12, startColumn: 7 });
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { captureSnippet, splitLines } = require('../lib/source-snippet');
+const { tokenize } = require('../lib/highlight');
+
+const SOURCE = splitLines([
+  'import { TextInput } from \'react-native\';',
+  '',
+  'export function Login() {',
+  '  return (',
+  '    <TextInput',
+  '      placeholder="Email"',
+  '      autoCompleteType="email"',
+  '    />',
+  '  );',
+  '}',
+  ''
+].join('\r\n'));
+
+/**
+ * Location of lines `start` to `end`, as Babel gives it
+ */
+function loc(start, end) {
+  return { start: { line: start, column: 4 }, end: { line: end, column: 6 } };
+}
+
+describe('captureSnippet', () => {
+  it('keeps the element with context lines around it, dedented', () => {
+    assert.deepEqual(captureSnippet(SOURCE, loc(5, 8), 1), {
+      startLine: 4,
+      lines: [
+        'return (',
+        '  <TextInput',
+        '    placeholder="Email"',
+        '    autoCompleteType="email"',
+        '  />',
+        ');'
+      ],
+      element: { start: 5, end: 8 }
+    });
+  });
+  
+  it('stops at the start and end of the file and drops blank edge lines', () => {
+    assert.equal(captureSnippet(SOURCE, loc(3, 3), 5).startLine, 1);
+    
+    const snippet = captureSnippet(SOURCE, loc(8, 8), 5);
+    assert.equal(snippet.startLine, 3);
+    assert.equal(snippet.lines.length, 8);
+    assert.equal(snippet.lines[snippet.lines.length - 1], '}');
+    
+    assert.deepEqual(captureSnippet(SOURCE, loc(3, 3), 1).lines, ['export function Login() {', '  return (']);
+  });
+  
+  it('cuts long elements and lines short', () => {
+    const lines = ['<View', ...Array.from({ length: 20 }, (_, index) => `  prop${index}={1}`), '/>', 'x'.repeat(500)];
+    const snippet = captureSnippet(lines, loc(1, 22), 0);
+    assert.deepEqual(snippet.element, { start: 1, end: 8 });
+    assert.equal(snippet.lines.length, 8);
+    
+    const long = captureSnippet(lines, loc(23, 23), 0).lines[0];
+    assert.equal(long.length, 160);
+    assert.ok(long.endsWith('…'));
+  });
+});
+
+describe('tokenize', () => {
+  it('tells tags, attributes, strings, keywords and comments apart', () => {
+    const tokens = tokenize('const a = () => <Text style={s} label="Hi"/> // done')
+      .filter(token => token.type)
+      .map(token => `${token.type}:${token.text}`);
+    assert.deepEqual(tokens, ['keyword:const', 'tag:<Text', 'attr:style', 'attr:label', 'string:"Hi"', 'tag:/>', 'comment:// done']);
+  });
+});
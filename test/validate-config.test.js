@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CLI = path.join(__dirname, '..', 'bin', 'rn-migrate.js');
+
+describe('rn-migrate validate-config', () => {
+  let dir;
+  
+  /**
+   * Write a config file and run `rn-migrate validate-config` on it
+   */
+  const validate = (name, config) => {
+    fs.writeFileSync(path.join(dir, name), JSON.stringify(config));
+    return spawnSync(process.execPath, [CLI, 'validate-config', '--config', name], { cwd: dir, encoding: 'utf8' });
+  };
+  
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rn-migrate-validate-'));
+  });
+  
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  
+  it('accepts a valid shared config', () => {
+    const result = validate('rn-migrate.config.json', { srcFolder: './src', analyze: { packagesToTrack: ['react-native'] } });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /rn-migrate\.config\.json \(shared config\) is valid/);
+  });
+  
+  it('lists the problems of an invalid config and exits 1', () => {
+    const result = validate('analyzer-config.json', { packagesToTrack: 'react-native' });
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /analyzer-config\.json \(analyzer config\): 1 problem/);
+    assert.match(result.stdout, /packagesToTrack: must be an array/);
+  });
+  
+  it('warns about deprecated settings without failing', () => {
+    const result = validate('old-config.json', { packagesToTrack: ['react-native'], componentFiltersExamples: {} });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /componentFiltersExamples is deprecated and ignored/);
+  });
+  
+  it('exits 2 for unknown options, arguments and commands', () => {
+    const unknownOption = spawnSync(process.execPath, [CLI, 'validate-config', '--bogus'], { cwd: dir, encoding: 'utf8' });
+    assert.equal(unknownOption.status, 2);
+    assert.match(unknownOption.stderr, /Unknown option --bogus/);
+    
+    const positional = spawnSync(process.execPath, [CLI, 'analyze', 'src'], { cwd: dir, encoding: 'utf8' });
+    assert.equal(positional.status, 2);
+    assert.match(positional.stderr, /Unexpected argument "src"/);
+    
+    const unknownCommand = spawnSync(process.execPath, [CLI, 'migrate'], { cwd: dir, encoding: 'utf8' });
+    assert.equal(unknownCommand.status, 2);
+    assert.match(unknownCommand.stderr, /Unknown command "migrate"/);
+  });
+});
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const chalk = require('chalk');
+const { COMMON_OPTIONS, UsageError, parseArgs, printOptions } = require('./lib/cli-args');
+const { COMMANDS, ConfigError, findConfigFile, checkConfigFile } = require('./lib/config-loader');
+const { SCHEMA_FILES, getKnownSettings, getDeprecatedSettings } = require('./lib/config-schema');
+
+const OPTIONS = {
+  config: COMMON_OPTIONS.config,
+  help: COMMON_OPTIONS.help
+};
+
+/**
+ * Print command line usage
+ */
+function printHelp() {
+  console.log(chalk.blue.bold('🔎 Config Validator - Usage'));
+  console.log(chalk.gray('─'.repeat(50)));
+  console.log(chalk.blue('Check the config every command would use:'));
+  console.log('  rn-migrate validate-config');
+  console.log('');
+  console.log(chalk.blue('Check a specific file:'));
+  console.log('  rn-migrate validate-config --config ./analyzer-config.json');
+  console.log('');
+  console.log(chalk.blue('Options:'));
+  printOptions(OPTIONS);
+  console.log('');
+  console.log(chalk.gray('─'.repeat(50)));
+}
+
+/**
+ * Check a config file. A per-tool file is checked as the config of the
+ * command whose settings it uses most, so a typo does not make it look
+ * like the other tool's.
+ */
+function checkFile(configPath, commands) {
+  const checks = commands.map(command => {
+    const check = checkConfigFile(configPath, command);
+    const known = getKnownSettings(COMMANDS[command].section);
+    return { command, fit: Object.keys(check.raw).filter(key => known.includes(key)).length, ...check };
+  });
+  return checks.sort((a, b) => b.fit - a.fit || a.problems.length - b.problems.length)[0];
+}
+
+/**
+ * Print the result of checking one config file, returning whether it is valid
+ */
+function reportFile(configPath, check) {
+  const relativePath = path.relative(process.cwd(), configPath) || configPath;
+  const kind = check.shared ? 'shared config' : `${COMMANDS[check.command].description} config`;
+  
+  if (check.problems.length === 0) {
+    console.log(chalk.green(`✅ ${relativePath} (${kind}) is valid`));
+  } else {
+    console.log(chalk.red(`❌ ${relativePath} (${kind}): ${check.problems.length} problem${check.problems.length > 1 ? 's' : ''}`));
+    check.problems.forEach(problem => console.log(chalk.red(`   - ${problem}`)));
+  }
+  
+  // Deprecated settings are valid, but worth cleaning up
+  const commands = check.shared ? Object.keys(COMMANDS) : [check.command];
+  commands.forEach(command => {
+    const { section } = COMMANDS[command];
+    const settings = (check.shared ? check.raw[section] : check.raw) || {};
+    getDeprecatedSettings(section)
+      .filter(name => settings[name] !== undefined)
+      .forEach(name => console.log(chalk.yellow(`   ⚠️  ${check.shared ? `${section}.` : ''}${name} is deprecated and ignored, it can be removed`)));
+  });
+  
+  // package.json and JS configs cannot point editors at a schema
+  if (check.raw.$schema === undefined && configPath.endsWith('.json') && path.basename(configPath) !== 'package.json') {
+    const schemaFile = check.shared ? SCHEMA_FILES.shared : SCHEMA_FILES[COMMANDS[check.command].section];
+    const schemaPath = path.relative(path.dirname(configPath), schemaFile).split(path.sep).join('/');
+    console.log(chalk.gray(`   💡 Add "$schema": "${schemaPath.startsWith('.') ? schemaPath : `./${schemaPath}`}" for editor autocompletion`));
+  }
+  
+  return check.problems.length === 0;
+}
+
+/**
+ * Run the command with command line arguments (without the command name)
+ */
+async function run(argv) {
+  let options;
+  try {
+    options = parseArgs(argv, OPTIONS);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    console.error(chalk.gray('Run with --help to see the available options.'));
+    process.exit(2);
+  }
+  
+  if (options.help) {
+    printHelp();
+    return;
+  }
+  
+  // The file each command would read (a shared config serves all of them)
+  const files = new Map(); // config path -> commands
+  if (options.config) {
+    files.set(path.resolve(options.config), Object.keys(COMMANDS));
+  } else {
+    Object.keys(COMMANDS).forEach(command => {
+      const configPath = findConfigFile(command, process.cwd());
+      if (configPath) {
+        files.set(configPath, [...(files.get(configPath) || []), command]);
+      }
+    });
+  }
+  
+  if (files.size === 0) {
+    console.error(chalk.red('❌ Error: No config found. Add rn-migrate.config.json to the project root or pass --config.'));
+    process.exit(2);
+  }
+  
+  let valid = true;
+  try {
+    files.forEach((commands, configPath) => {
+      valid = reportFile(configPath, checkFile(configPath, commands)) && valid;
+    });
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(2);
+  }
+  
+  if (!valid) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  OPTIONS,
+  run
+};